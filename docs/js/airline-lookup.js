@@ -0,0 +1,100 @@
+// Airline lookup module
+// Resolves airline metadata (ICAO code, names, country, alliance, brand color)
+// from the IATA designator at the start of a flight code, using data/airlines.json
+
+const AirlineLookup = {
+    // Airline data keyed by IATA designator (from airlines.json)
+    airlines: {},
+
+    // Promise for the airlines.json load
+    loading: null,
+
+    // Two-character IATA designator: letters, or a letter and a digit in either order
+    prefixPattern: /^([A-Z]{2}|[A-Z]\d|\d[A-Z])(?=\d)/,
+
+    /**
+     * Load the airline dataset once
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (!this.loading) {
+            this.loading = this.loadAirlines();
+        }
+        return this.loading;
+    },
+
+    /**
+     * Load airlines.json into airlines
+     */
+    async loadAirlines() {
+        try {
+            const response = await fetch('data/airlines.json');
+            this.airlines = await response.json();
+        } catch (error) {
+            console.error('Failed to load airlines:', error);
+            this.airlines = {};
+        }
+    },
+
+    /**
+     * Extract the IATA designator from a flight code
+     * @param {string} codeName - Flight code (e.g., "NH1231", "7G12")
+     * @returns {string|null}
+     */
+    getPrefix(codeName) {
+        const match = codeName?.toUpperCase().trim().match(this.prefixPattern);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Get metadata for a flight code
+     * @param {string} codeName - Flight code
+     * @returns {{iata: string, icao: string, name: string, nameJa: string, country: string, countryEn: string, alliance: string|null, color: string} | null}
+     */
+    lookup(codeName) {
+        const iata = this.getPrefix(codeName);
+        const data = iata && this.airlines[iata];
+        if (!data) return null;
+
+        return {
+            iata,
+            icao: data.icao || '',
+            name: data.name || '',
+            nameJa: data.nameJa || '',
+            country: data.country || '',
+            countryEn: data.countryEn || '',
+            alliance: data.alliance || null,
+            color: /^#[0-9a-f]{6}$/i.test(data.color) ? data.color : null
+        };
+    },
+
+    /**
+     * Airline name in the UI language, falling back to AirName from the flight data
+     * @param {Object} flight - Flight data (airline from lookup, airlineName)
+     * @returns {string}
+     */
+    getName(flight) {
+        const airline = flight.airline;
+        if (I18n.language === 'ja') {
+            return flight.airlineName || airline?.nameJa || airline?.name || '';
+        }
+        return airline?.name || flight.airlineName || '';
+    },
+
+    /**
+     * Code badge: the IATA designator on the airline's brand color
+     * @param {Object} flight - Flight data
+     * @returns {string} - HTML
+     */
+    renderBadge(flight) {
+        const airline = flight.airline;
+        const code = airline?.iata || this.getPrefix(flight.codeName) || '';
+        if (!code) return '';
+
+        const style = airline?.color ? ` style="background-color: ${airline.color}"` : '';
+        return `<span class="airline-badge"${style} aria-hidden="true">${escapeHtml(code)}</span>`;
+    }
+};
+
+// Export for use in other modules
+window.AirlineLookup = AirlineLookup;
@@ -1,19 +1,82 @@
-// Airport Search module using OpenStreetMap Nominatim API
+// Airport Search module
+// Resolves airport coordinates and details (name, ICAO code, elevation, time zone)
+// from the local dataset (data/airports.json), then the persistent CacheStore,
+// and finally the OpenStreetMap Nominatim API
 
 const AirportSearch = {
-    // Cache for storing fetched airport coordinates
+    // Airports resolved during this session (failed lookups are not kept here)
     cache: new Map(),
 
-    // City name mapping for Wikipedia (from airports.json data)
+    // Airport data keyed by IATA code (from airports.json data)
     cityNames: {},
 
+    // Promise for the airports.json load, awaited before resolving codes
+    loading: null,
+
+    // CacheStore namespace for Nominatim results
+    cacheNamespace: 'airport',
+
+    // Prefix of Nominatim results saved in localStorage by earlier versions
+    legacyStoragePrefix: 'airversary:airport:',
+
+    // Validation patterns for airports.json fields
+    iataPattern: /^[A-Z]{3}$/,
+    icaoPattern: /^[A-Z0-9]{4}$/,
+    countryCodePattern: /^[A-Z]{2}$/,
+
+    // Lookups currently in progress, keyed by airport code ({ promise, controller, callers })
+    pending: new Map(),
+
+    // Nominatim request queue (usage policy: max 1 request/second)
+    queue: [],
+    queueRunning: false,
+    lastRequestAt: 0,
+    requestInterval: 1000,
+    maxRetries: 3,
+    retryBaseDelay: 2000,
+
+    /**
+     * Initialize by loading the local airport dataset
+     */
+    init() {
+        if (!this.loading) {
+            this.removeLegacyStorage();
+            this.loading = this.loadCityNames();
+        }
+        return this.loading;
+    },
+
     /**
-     * Initialize by loading city name mappings
+     * Delete Nominatim results left in localStorage from before the CacheStore
      */
-    async init() {
+    removeLegacyStorage() {
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key?.startsWith(this.legacyStoragePrefix)) keys.push(key);
+            }
+            keys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // Storage may be blocked (e.g., privacy settings); nothing to remove then
+        }
+    },
+
+    /**
+     * Load airports.json into cityNames, keeping only valid entries and fields
+     */
+    async loadCityNames() {
         try {
             const response = await fetch('data/airports.json');
-            this.cityNames = await response.json();
+            const data = await response.json();
+
+            this.cityNames = {};
+            Object.entries(data).forEach(([code, entry]) => {
+                const airport = this.validateAirport(code, entry);
+                if (airport) {
+                    this.cityNames[code] = airport;
+                }
+            });
         } catch (error) {
             console.error('Failed to load city names:', error);
             this.cityNames = {};
@@ -21,68 +84,370 @@ const AirportSearch = {
     },
 
     /**
-     * Search for airport coordinates using Nominatim API
+     * Check an airports.json entry
+     * Entries without a valid code or coordinates are dropped; other invalid fields
+     * are removed so lookups fall back as if the field were missing
+     * @param {string} code - IATA code (object key)
+     * @param {Object} entry - Entry from airports.json
+     * @returns {Object|null} - Cleaned entry, null if unusable
+     */
+    validateAirport(code, entry) {
+        const validLat = Number.isFinite(entry?.lat) && Math.abs(entry.lat) <= 90;
+        const validLng = Number.isFinite(entry?.lng) && Math.abs(entry.lng) <= 180;
+        if (!this.iataPattern.test(code) || !validLat || !validLng) {
+            console.warn(`airports.json: skipping invalid entry ${code}`);
+            return null;
+        }
+
+        const checks = {
+            name: value => typeof value === 'string' && value.trim() !== '',
+            icao: value => this.icaoPattern.test(value),
+            elevationFt: value => Number.isFinite(value),
+            countryCode: value => this.countryCodePattern.test(value),
+            tz: value => RouteInfo.isValidTimeZone(value)
+        };
+
+        const airport = { ...entry };
+        Object.entries(checks).forEach(([field, isValid]) => {
+            if (field in airport && !isValid(airport[field])) {
+                console.warn(`airports.json: ignoring invalid ${field} for ${code}:`, airport[field]);
+                delete airport[field];
+            }
+        });
+
+        return airport;
+    },
+
+    /**
+     * Resolve airport coordinates, trying each source in order:
+     * local dataset, persistent cache, then Nominatim
      * @param {string} code - Airport IATA/ICAO code (e.g., "HND", "LAX")
-     * @returns {Promise<{lat: number, lng: number, city: string, country: string} | null>}
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels this caller's lookup, which then resolves to null
+     * @returns {Promise<{lat: number, lng: number, name: string, icao: string, elevationFt: number|null, city: string, cityEn: string, country: string, countryCode: string, tz: string, source: string} | null>}
      */
-    async searchAirport(code) {
-        if (!code) return null;
+    async searchAirport(code, { signal } = {}) {
+        if (!code || signal?.aborted) return null;
 
         const codeUpper = code.toUpperCase().trim();
 
-        // Check cache first
+        // Check session cache first
         if (this.cache.has(codeUpper)) {
             return this.cache.get(codeUpper);
         }
 
-        try {
-            // Search with "[code] airport" query
-            const query = `${codeUpper} airport`;
-            const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=1`;
+        // Share a lookup that is already in progress for the same code
+        let pending = this.pending.get(codeUpper);
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, callers: 0 };
+            pending.promise = this.resolveAirport(codeUpper, controller.signal).finally(() => {
+                if (this.pending.get(codeUpper) === pending) {
+                    this.pending.delete(codeUpper);
+                }
+            });
+            this.pending.set(codeUpper, pending);
+        }
 
-            const response = await fetch(url, {
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Airversary/1.0'
+        return this.joinLookup(codeUpper, pending, signal);
+    },
+
+    /**
+     * Wait for a shared lookup on behalf of one caller
+     * The lookup is cancelled only when every caller that joined it has cancelled;
+     * callers without a signal keep it running
+     * @param {string} code - Uppercase airport code
+     * @param {Object} pending - Entry of the pending map
+     * @param {AbortSignal} signal - The caller's signal
+     * @returns {Promise<Object|null>}
+     */
+    joinLookup(code, pending, signal) {
+        pending.callers++;
+        if (!signal) return pending.promise;
+
+        return new Promise(resolve => {
+            const leave = () => {
+                pending.callers--;
+                if (pending.callers === 0) {
+                    // Later searches for the code start a new lookup
+                    if (this.pending.get(code) === pending) this.pending.delete(code);
+                    pending.controller.abort();
                 }
+                resolve(null);
+            };
+
+            signal.addEventListener('abort', leave, { once: true });
+            pending.promise.then(resolve, () => resolve(null)).finally(() => {
+                signal.removeEventListener('abort', leave);
             });
+        });
+    },
 
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
+    /**
+     * Run the resolver chain for a code that is not in the session cache
+     * @param {string} code - Uppercase airport code
+     * @param {AbortSignal} signal - Cancels the Nominatim request
+     * @returns {Promise<Object|null>}
+     */
+    async resolveAirport(code, signal) {
+        if (this.loading) {
+            await this.loading;
+        }
 
-            const data = await response.json();
+        let airportInfo = this.resolveFromLocal(code);
+
+        if (!airportInfo) {
+            // A recent failed lookup is cached as null until its shorter TTL runs out
+            const stored = await this.resolveFromStorage(code);
+            airportInfo = stored === undefined ? await this.resolveFromNominatim(code, signal) : stored;
+        }
+
+        if (airportInfo) {
+            this.cache.set(code, airportInfo);
+        }
+
+        return airportInfo;
+    },
+
+    /**
+     * Resolve coordinates from the bundled airports.json
+     * @param {string} code - Uppercase airport code
+     * @returns {Object|null}
+     */
+    resolveFromLocal(code) {
+        const localData = this.cityNames[code];
+        if (!localData || !Number.isFinite(localData.lat) || !Number.isFinite(localData.lng)) {
+            return null;
+        }
+
+        return {
+            lat: localData.lat,
+            lng: localData.lng,
+            name: localData.name || '',
+            icao: localData.icao || '',
+            elevationFt: localData.elevationFt ?? null,
+            city: localData.city || '',
+            cityEn: localData.cityEn || '',
+            country: localData.country || '',
+            countryEn: localData.countryEn || '',
+            countryCode: localData.countryCode || '',
+            tz: localData.tz || '',
+            source: 'local'
+        };
+    },
+
+    /**
+     * Resolve coordinates from a previous Nominatim lookup saved in the CacheStore
+     * @param {string} code - Uppercase airport code
+     * @returns {Promise<Object|null|undefined>} - null for a cached miss, undefined if not cached
+     */
+    async resolveFromStorage(code) {
+        const stored = await CacheStore.get(this.cacheNamespace, code);
+        if (stored === null) return null;
+
+        if (!Number.isFinite(stored?.lat) || !Number.isFinite(stored?.lng)) {
+            return undefined;
+        }
+
+        return { ...stored, source: 'cache' };
+    },
+
+    /**
+     * Save a Nominatim result (or null for no match) to the CacheStore
+     * @param {string} code - Uppercase airport code
+     * @param {Object|null} airportInfo - Resolved airport data
+     */
+    saveToStorage(code, airportInfo) {
+        if (!airportInfo) {
+            CacheStore.set(this.cacheNamespace, code, null);
+            return;
+        }
+
+        const { source, ...data } = airportInfo;
+        CacheStore.set(this.cacheNamespace, code, data);
+    },
+
+    /**
+     * Search for airport coordinates using Nominatim API
+     * @param {string} code - Uppercase airport code
+     * @param {AbortSignal} signal - Cancels the request while queued or running
+     * @returns {Promise<Object|null>}
+     */
+    async resolveFromNominatim(code, signal) {
+        try {
+            // Search with "[code] airport" query; extratags carries OSM's icao and ele tags
+            const query = `${code} airport`;
+            const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=1&addressdetails=1&extratags=1`;
+
+            const data = await this.enqueueRequest(url, signal);
 
             if (data && data.length > 0) {
                 const result = data[0];
 
                 // Get city name from local data if available
-                const localData = this.cityNames[codeUpper];
+                const localData = this.cityNames[code];
 
                 const airportInfo = {
                     lat: parseFloat(result.lat),
                     lng: parseFloat(result.lon),
+                    ...this.extractDetails(result),
                     city: localData?.city || this.extractCityFromDisplay(result.display_name),
                     cityEn: localData?.cityEn || '',
-                    country: localData?.country || this.extractCountryFromDisplay(result.display_name)
+                    country: localData?.country || this.extractCountryFromDisplay(result.display_name),
+                    source: 'nominatim'
                 };
 
-                // Cache the result
-                this.cache.set(codeUpper, airportInfo);
+                this.saveToStorage(code, airportInfo);
 
                 return airportInfo;
             }
 
-            // If not found, return null
-            this.cache.set(codeUpper, null);
+            // If not found, remember the miss for a shorter time
+            this.saveToStorage(code, null);
             return null;
 
         } catch (error) {
-            console.error(`Airport search error for ${codeUpper}:`, error);
+            if (error.name !== 'AbortError') {
+                console.error(`Airport search error for ${code}:`, error);
+            }
             return null;
         }
     },
 
+    /**
+     * Add a Nominatim request to the shared queue
+     * @param {string} url - Request URL
+     * @param {AbortSignal} signal - Removes the request from the queue, or aborts it once running
+     * @returns {Promise<any>} - Parsed JSON response
+     */
+    enqueueRequest(url, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request cancelled', 'AbortError'));
+                return;
+            }
+
+            const request = { url, resolve, reject, signal };
+            this.queue.push(request);
+
+            // A request still waiting in the queue is dropped without reaching Nominatim
+            signal?.addEventListener('abort', () => {
+                const index = this.queue.indexOf(request);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(new DOMException('Request cancelled', 'AbortError'));
+                }
+            }, { once: true });
+
+            this.processQueue();
+        });
+    },
+
+    /**
+     * Run queued requests one at a time, spaced by requestInterval
+     */
+    async processQueue() {
+        if (this.queueRunning) return;
+        this.queueRunning = true;
+
+        while (this.queue.length > 0) {
+            const request = this.queue.shift();
+
+            try {
+                request.resolve(await this.fetchWithRetry(request.url, request.signal));
+            } catch (error) {
+                request.reject(error);
+            }
+        }
+
+        this.queueRunning = false;
+    },
+
+    /**
+     * Fetch JSON from Nominatim, retrying 429 and 5xx responses with backoff
+     * @param {string} url - Request URL
+     * @param {AbortSignal} signal - Signal used to cancel the request
+     * @returns {Promise<any>}
+     */
+    async fetchWithRetry(url, signal) {
+        let retryDelay = 0;
+
+        for (let attempt = 0; ; attempt++) {
+            // Keep at least requestInterval between any two requests
+            const wait = Math.max(retryDelay, this.lastRequestAt + this.requestInterval - Date.now());
+            if (wait > 0) {
+                await this.delay(wait, signal);
+            }
+
+            this.lastRequestAt = Date.now();
+            const response = await fetch(url, {
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'Airversary/1.0'
+                },
+                signal
+            });
+
+            if (response.ok) {
+                return response.json();
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
+                throw new Error(`HTTP error: ${response.status}`);
+            }
+
+            // Prefer the server's Retry-After (seconds) over exponential backoff
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            retryDelay = Number.isFinite(retryAfter)
+                ? retryAfter * 1000
+                : this.retryBaseDelay * Math.pow(2, attempt);
+        }
+    },
+
+    /**
+     * Wait for the given time, rejecting early if the signal is aborted
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<void>}
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request cancelled', 'AbortError'));
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    },
+
+    /**
+     * Airport details from a Nominatim result (OSM name, icao and ele tags)
+     * Time zones are not available from Nominatim
+     * @param {Object} result - Nominatim search result
+     * @returns {{name: string, icao: string, elevationFt: number|null, countryCode: string}}
+     */
+    extractDetails(result) {
+        const tags = result.extratags || {};
+        const icao = (tags.icao || '').toUpperCase();
+        const countryCode = (result.address?.country_code || '').toUpperCase();
+
+        // OSM ele is in meters (e.g., "6" or "6 m")
+        const elevationM = parseFloat(tags.ele);
+
+        return {
+            name: result.name || (result.display_name || '').split(', ')[0],
+            icao: this.icaoPattern.test(icao) ? icao : '',
+            elevationFt: Number.isFinite(elevationM) ? Math.round(elevationM / 0.3048) : null,
+            countryCode: this.countryCodePattern.test(countryCode) ? countryCode : ''
+        };
+    },
+
     /**
      * Extract city name from Nominatim display_name
      * @param {string} displayName - Full display name from Nominatim
@@ -112,41 +477,85 @@ const AirportSearch = {
      * Search for both departure and arrival airports
      * @param {string} departureCode - Departure airport code
      * @param {string} arrivalCode - Arrival airport code
+     * @param {Object} options - Passed to searchAirport (e.g., { signal })
      * @returns {Promise<{departure: object|null, arrival: object|null}>}
      */
-    async searchBothAirports(departureCode, arrivalCode) {
-        // Add small delay between requests to respect Nominatim rate limits
-        const departure = await this.searchAirport(departureCode);
-
-        // Small delay to avoid rate limiting (Nominatim requests max 1/second)
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        const arrival = await this.searchAirport(arrivalCode);
+    async searchBothAirports(departureCode, arrivalCode, options = {}) {
+        // Nominatim lookups are spaced by the request queue
+        const [departure, arrival] = await Promise.all([
+            this.searchAirport(departureCode, options),
+            this.searchAirport(arrivalCode, options)
+        ]);
 
         return { departure, arrival };
     },
 
     /**
-     * Get city name for Wikipedia search
+     * Get the city name to display in the active UI language
+     * Japanese uses the flight data's place name; other languages use cityEn
      * @param {string} code - Airport code
-     * @param {string} fallbackPlace - Fallback place name from flight data
+     * @param {string} fallbackPlace - Place name from flight data
      * @returns {string}
      */
-    getCityNameForWikipedia(code, fallbackPlace) {
+    getCityName(code, fallbackPlace) {
         const codeUpper = code?.toUpperCase().trim();
         const localData = this.cityNames[codeUpper];
 
-        if (localData?.city) {
-            return localData.city;
+        if (I18n.language === 'ja') {
+            return fallbackPlace || localData?.city || '';
         }
 
-        // Use cached search result
-        const cached = this.cache.get(codeUpper);
-        if (cached?.city) {
-            return cached.city;
+        return localData?.cityEn || this.cache.get(codeUpper)?.cityEn || fallbackPlace || '';
+    },
+
+    /**
+     * Get the country of an airport
+     * @param {string} code - Airport code
+     * @param {string} language - "ja" or "en"
+     * @returns {string} - Country name, '' if unknown
+     */
+    getCountryName(code, language = I18n.language) {
+        const codeUpper = code?.toUpperCase().trim();
+        const data = this.cityNames[codeUpper] || this.cache.get(codeUpper);
+
+        if (language === 'ja') {
+            return data?.country || '';
         }
 
-        return fallbackPlace;
+        return data?.countryEn || data?.country || '';
+    },
+
+    /**
+     * Get Wikipedia lookup data for an airport's city
+     * Wikidata-style sitelinks in airports.json (e.g., {"jawiki": "成田市"})
+     * take precedence over the city/cityEn names
+     * @param {string} code - Airport code
+     * @param {string} fallbackPlace - Fallback place name from flight data
+     * @returns {{titles: Object, countries: Object}} - Title and country name per wiki language
+     */
+    getWikipediaLookup(code, fallbackPlace) {
+        const codeUpper = code?.toUpperCase().trim();
+        const localData = this.cityNames[codeUpper];
+        const cached = this.cache.get(codeUpper);
+
+        const titles = {
+            ja: localData?.city || cached?.city || fallbackPlace,
+            en: localData?.cityEn || cached?.cityEn
+        };
+
+        Object.entries(localData?.sitelinks || {}).forEach(([site, title]) => {
+            const match = site.match(/^([a-z_]+)wiki$/);
+            if (match && title) {
+                titles[match[1]] = title;
+            }
+        });
+
+        const countries = {
+            ja: localData?.country || cached?.country,
+            en: localData?.countryEn || cached?.countryEn
+        };
+
+        return { titles, countries };
     }
 };
 
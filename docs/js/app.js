@@ -10,17 +10,41 @@ const firebaseConfig = {
     measurementId: "G-WHS2HRQQ46"
 };
 
-// Initialize Firebase
-firebase.initializeApp(firebaseConfig);
-firebase.analytics();
+// Initialize Firebase (optional when self-hosting with another data source)
+if (typeof firebase !== 'undefined') {
+    firebase.initializeApp(firebaseConfig);
+    firebase.analytics();
+}
 
 // DOM Elements
 const monthSelect = document.getElementById('select-month');
 const dateSelect = document.getElementById('select-date');
-const tableBody = document.querySelector('#AirlineTable tbody');
 const searchButton = document.getElementById('search-button');
+const flightNumberInput = document.getElementById('flight-number-input');
+const flightNumberButton = document.getElementById('flight-number-button');
+const familySearchButton = document.getElementById('family-search-button');
 const resultMessage = document.getElementById('result-message');
 const resultsSection = document.getElementById('results-section');
+const languageSelect = document.getElementById('language-select');
+const exportButtons = document.querySelectorAll('.export-button');
+const planItineraryButton = document.getElementById('plan-itinerary');
+const clearCacheButton = document.getElementById('clear-cache-button');
+const clearCacheStatus = document.getElementById('clear-cache-status');
+const noticeBody = document.getElementById('notice-body');
+
+// Current search ({d} or {q}) and the flights it returned, mirrored in the URL
+let currentSearch = { d: null, q: null };
+let currentFlights = [];
+
+// Rendered result groups and message, kept to re-render on language change
+let currentGroups = [];
+let currentMessage = null;
+
+// True while the page is being updated from the URL (load or back/forward)
+let applyingUrlState = false;
+
+// Manifest of the static dataset (null until loaded, or if it has not been built)
+let dataManifest = null;
 
 // Initialize select options
 function initializeSelects() {
@@ -28,63 +52,102 @@ function initializeSelects() {
     for (let month = 1; month <= 12; month++) {
         const option = document.createElement('option');
         option.value = month;
-        option.textContent = `${month}月`;
+        option.textContent = I18n.t('search.monthOption', { month, monthName: I18n.formatMonthName(month) });
         if (month === 12) option.selected = true;
         monthSelect.appendChild(option);
     }
 
-    // Date options (01-31)
-    for (let day = 1; day <= 31; day++) {
+    updateDateOptions(31);
+    monthSelect.addEventListener('change', () => updateDateOptions());
+}
+
+// Offer only the days that exist in the selected month (February has 29)
+function updateDateOptions(selectedDay = parseInt(dateSelect.value, 10)) {
+    const daysInMonth = BirthdayKey.getDaysInMonth(parseInt(monthSelect.value, 10));
+    const day = Math.min(selectedDay || 1, daysInMonth);
+
+    dateSelect.innerHTML = '';
+    for (let d = 1; d <= daysInMonth; d++) {
         const option = document.createElement('option');
-        option.value = String(day).padStart(2, '0');
-        option.textContent = `${day}日`;
-        if (day === 31) option.selected = true;
+        option.value = String(d).padStart(2, '0');
+        option.textContent = I18n.t('search.dayOption', { day: d });
+        if (d === day) option.selected = true;
         dateSelect.appendChild(option);
     }
 }
 
+// Set the month and day selects to a birthday key
+function selectBirthday(birthday) {
+    const { month, day } = BirthdayKey.parse(birthday);
+    monthSelect.value = month;
+    updateDateOptions(day);
+}
+
+// Re-label month and day options in the active language
+function updateOptionLabels() {
+    Array.from(monthSelect.options).forEach(option => {
+        const month = parseInt(option.value, 10);
+        option.textContent = I18n.t('search.monthOption', { month, monthName: I18n.formatMonthName(month) });
+    });
+    Array.from(dateSelect.options).forEach(option => {
+        option.textContent = I18n.t('search.dayOption', { day: parseInt(option.value, 10) });
+    });
+}
+
+// Initialize the language switcher
+function initializeLanguageSelect() {
+    Object.entries(I18n.languages).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        if (code === I18n.language) option.selected = true;
+        languageSelect.appendChild(option);
+    });
+
+    languageSelect.addEventListener('change', () => I18n.setLanguage(languageSelect.value));
+}
+
+// Format a date for messages, marking the leap day
+function formatBirthday(month, day) {
+    const label = I18n.formatMonthDay(month, day);
+    return BirthdayKey.isLeapDay(month, day) ? I18n.t('date.leapDay', { date: label }) : label;
+}
+
 // Show loading state
-function setLoading(isLoading) {
+function setLoading(isLoading, button = searchButton) {
     searchButton.disabled = isLoading;
-    searchButton.innerHTML = isLoading
-        ? '<span class="loading-spinner"></span>検索中...'
-        : '<i class="material-icons">flight_takeoff</i>検索する';
+    flightNumberButton.disabled = isLoading;
+    familySearchButton.disabled = isLoading;
+
+    if (isLoading) {
+        button.innerHTML = `<span class="loading-spinner"></span>${escapeHtml(I18n.t('search.loading'))}`;
+    } else {
+        searchButton.innerHTML = `<i class="material-icons">flight_takeoff</i>${escapeHtml(I18n.t('search.submit'))}`;
+        flightNumberButton.innerHTML = `<i class="material-icons">search</i>${escapeHtml(I18n.t('search.flightNumberSubmit'))}`;
+        familySearchButton.innerHTML = `<i class="material-icons">groups</i>${escapeHtml(I18n.t('family.submit'))}`;
+    }
 }
 
 // Show message
-function showMessage(text, type = 'success') {
-    if (!text) {
+// getText is a function so the message can be rebuilt when the language changes
+function showMessage(getText, type = 'success') {
+    currentMessage = getText ? { getText, type } : null;
+
+    if (!getText) {
         resultMessage.style.display = 'none';
         return;
     }
 
-    resultMessage.textContent = text;
+    resultMessage.textContent = getText();
     resultMessage.className = `result-message mb-4 ${type} fade-in`;
     resultMessage.style.display = 'block';
 }
 
-// Create table row with animation
-function createFlightRow(flight, index) {
-    const { codeName, airlineName, departurePlace, departureCode, arrivalPlace, arrivalCode } = flight;
-
-    const tr = document.createElement('tr');
-    tr.className = 'fade-in';
-    tr.style.animationDelay = `${index * 0.03}s`;
-    tr.innerHTML = `
-        <td class="font-medium text-rose-600">${escapeHtml(codeName)}</td>
-        <td>${escapeHtml(airlineName)}</td>
-        <td>${escapeHtml(departurePlace)}</td>
-        <td class="hidden lg:table-cell text-gray-500">${escapeHtml(departureCode)}</td>
-        <td>${escapeHtml(arrivalPlace)}</td>
-        <td class="hidden lg:table-cell text-gray-500">${escapeHtml(arrivalCode)}</td>
-    `;
-
-    // Add click handler for modal
-    tr.addEventListener('click', () => {
-        FlightModal.open(flight);
-    });
-
-    return tr;
+// Data notice with the collection date from the dataset manifest
+// Without a manifest the date is reported as unknown rather than guessed
+function renderDataNotice() {
+    const date = I18n.formatCollectionDate(dataManifest?.collectedAt);
+    noticeBody.textContent = date ? I18n.t('notice.body', { date }) : I18n.t('notice.bodyUndated');
 }
 
 // Escape HTML to prevent XSS
@@ -95,66 +158,360 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Label for a flight number interpretation (e.g., "1月11日（111便）")
+function getGroupLabel(group) {
+    const { birthday, month, day } = group.interpretation;
+    return I18n.t('result.group', { date: formatBirthday(month, day), flight: birthday });
+}
+
+// Render result groups into the table
+// groups: [{ birthday, interpretation, number, member, flights }]
+// interpretation is only set for a flight number search and member for a family search
+function renderResults(groups) {
+    currentGroups = groups;
+    resultsSection.style.display = 'block';
+    resultsSection.className = 'card overflow-hidden mb-6 fade-in';
+
+    currentFlights = groups.flatMap(group => group.flights);
+
+    // Sorting, filters and grouping are kept from the previous render
+    ResultsTable.render(groups);
+}
+
+// Reset results before a new search
+function clearResults() {
+    currentFlights = [];
+    currentGroups = [];
+    showMessage(null);
+    ResultsTable.clear();
+    resultsSection.style.display = 'none';
+    planItineraryButton.hidden = true;
+    RoutesOverview.hide();
+    ItineraryPlanner.hide();
+    DateCalendar.select(null);
+}
+
+// Download the flights shown in the table (after filters) as CSV, JSON or .ics
+function exportResults(format) {
+    const entries = ResultsTable.getVisibleEntries();
+    if (entries.length === 0) return;
+
+    // e.g., "airversary-1231", "airversary-NH1225" or "airversary-family"
+    const search = (currentSearch.d || currentSearch.q || 'family').replace(/[^0-9A-Za-z]+/g, '');
+    ResultsExport.download(format, entries, `airversary-${search}`);
+}
+
+// Record a search in the URL (skipped while restoring from the URL)
+function recordSearch(search) {
+    currentSearch = search;
+    if (!applyingUrlState) {
+        UrlState.push(search);
+    }
+}
+
 // Search flights
 async function searchFlights() {
-    const month = monthSelect.value;
-    const date = dateSelect.value;
-    const birthday = month + date;
+    const month = parseInt(monthSelect.value, 10);
+    const day = parseInt(dateSelect.value, 10);
+
+    clearResults();
+
+    // Never query dates that do not exist (e.g., 2/31, 4/31)
+    if (!BirthdayKey.isValid(month, day)) {
+        showMessage(() => I18n.t('result.invalidDate', { month, day }), 'error');
+        return;
+    }
+
+    const birthday = BirthdayKey.build(month, day);
+    const dateLabel = () => formatBirthday(month, day);
+    recordSearch({ d: birthday, q: null });
+    DateCalendar.select(birthday);
 
     setLoading(true);
-    showMessage('');
-    tableBody.innerHTML = '';
-    resultsSection.style.display = 'none';
 
     try {
-        const db = firebase.database();
-        const snapshot = await db.ref(birthday).once('value');
-
-        const flights = [];
-        snapshot.forEach((childSnapshot) => {
-            flights.push({
-                codeName: childSnapshot.key,
-                arrivalCode: childSnapshot.child('A_code').val(),
-                arrivalPlace: childSnapshot.child('A_place').val(),
-                airlineName: childSnapshot.child('AirName').val(),
-                departureCode: childSnapshot.child('D_code').val(),
-                departurePlace: childSnapshot.child('D_place').val()
-            });
-        });
+        const flights = await FlightData.fetchFlights(birthday);
 
         if (flights.length === 0) {
-            showMessage(`${month}月${parseInt(date)}日のフライトは見つかりませんでした。`, 'empty');
-            resultsSection.style.display = 'none';
+            // Point to the closest dates that do have flights, if the counts are already loaded
+            const nearest = DateCalendar.getNearest(birthday);
+            showMessage(() => nearest.length > 0
+                ? I18n.t('result.notFoundNearest', { date: dateLabel(), dates: DateCalendar.formatDates(nearest) })
+                : I18n.t('result.notFound', { date: dateLabel() }), 'empty');
         } else {
-            showMessage(`${month}月${parseInt(date)}日のフライトが ${flights.length}件 見つかりました！`, 'success');
-            resultsSection.style.display = 'block';
-            resultsSection.className = 'card overflow-hidden mb-6 fade-in';
+            showMessage(() => I18n.t('result.found', { date: dateLabel(), count: flights.length }), 'success');
+            renderResults([{ birthday, flights }]);
 
-            flights.forEach((flight, index) => {
-                tableBody.appendChild(createFlightRow(flight, index));
-            });
+            // Trips can start from a date search only
+            planItineraryButton.hidden = false;
         }
     } catch (error) {
         console.error('Search error:', error);
-        showMessage('検索中にエラーが発生しました。しばらくしてからお試しください。', 'error');
-        resultsSection.style.display = 'none';
+        showMessage(() => I18n.t('result.error'), 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// Search by free-text flight number (e.g., "NH1225", "1225", "JL 111")
+async function searchByFlightNumber() {
+    const input = flightNumberInput.value;
+    const parsed = FlightNumberParser.parse(input);
+
+    clearResults();
+
+    if (!parsed) {
+        showMessage(() => I18n.t('result.flightNumberInvalid'), 'error');
+        return;
+    }
+
+    recordSearch({ d: null, q: input.trim() });
+
+    const flightLabel = () => I18n.t('flight.name', { code: `${parsed.airline || ''}${parsed.number}` });
+    if (parsed.interpretations.length === 0) {
+        showMessage(() => I18n.t('result.flightNumberNoDate', { flight: flightLabel() }), 'empty');
+        return;
+    }
+
+    setLoading(true, flightNumberButton);
+
+    try {
+        const groups = await Promise.all(parsed.interpretations.map(async (interpretation) => {
+            let flights = await FlightData.fetchFlights(interpretation.birthday);
+
+            // Narrow to the airline when a prefix was given
+            if (parsed.airline) {
+                flights = flights.filter(flight => flight.codeName?.toUpperCase().startsWith(parsed.airline));
+            }
+
+            return { birthday: interpretation.birthday, interpretation, number: parsed.number, flights };
+        }));
+
+        const total = groups.reduce((sum, group) => sum + group.flights.length, 0);
+        const birthdays = () => groups.map(getGroupLabel).join(I18n.t('result.listSeparator'));
+
+        if (total === 0) {
+            showMessage(() => I18n.t('result.flightNumberNotFound', { flight: flightLabel(), dates: birthdays() }), 'empty');
+        } else {
+            showMessage(() => I18n.t('result.flightNumberFound', { flight: flightLabel(), count: total }), 'success');
+            // Keep interpretations without flights out of the table
+            renderResults(groups.filter(group => group.flights.length > 0));
+        }
+    } catch (error) {
+        console.error('Flight number search error:', error);
+        showMessage(() => I18n.t('result.error'), 'error');
     } finally {
         setLoading(false);
     }
 }
 
+// Search the birthdays of everyone in the family list
+// Names stay on this device, so the search is not written to the URL
+async function searchFamily() {
+    const members = FamilyBirthdays.members.map(member => ({ ...member }));
+
+    clearResults();
+
+    if (members.length === 0) {
+        showMessage(() => I18n.t('family.empty'), 'error');
+        return;
+    }
+
+    recordSearch({ d: null, q: null });
+    setLoading(true, familySearchButton);
+
+    try {
+        // People who share a birthday share one lookup
+        const birthdays = [...new Set(members.map(member => member.birthday))];
+        const results = new Map(await Promise.all(birthdays.map(async (birthday) => {
+            return [birthday, await FlightData.fetchFlights(birthday)];
+        })));
+
+        // Each person gets their own copies, so their rows stay separate flights
+        const groups = members.map(member => ({
+            birthday: member.birthday,
+            member,
+            flights: results.get(member.birthday).map(flight => ({ ...flight }))
+        }));
+
+        const total = groups.reduce((sum, group) => sum + group.flights.length, 0);
+
+        if (total === 0) {
+            showMessage(() => I18n.t('family.notFound', { people: members.length }), 'empty');
+        } else {
+            showMessage(() => I18n.t('family.found', { people: members.length, count: total }), 'success');
+            renderResults(groups.filter(group => group.flights.length > 0));
+        }
+    } catch (error) {
+        console.error('Family search error:', error);
+        showMessage(() => I18n.t('result.error'), 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// Search a date picked in a calendar
+function searchDate(birthday) {
+    selectBirthday(birthday);
+    return searchFlights();
+}
+
+// Restore search and open flight from URL state ({d, q, f})
+async function applyUrlState(state) {
+    applyingUrlState = true;
+
+    try {
+        const sameSearch = state.d === currentSearch.d && state.q === currentSearch.q;
+
+        if (!sameSearch) {
+            if (FlightModal.isOpen()) FlightModal.close();
+
+            if (state.d) {
+                selectBirthday(state.d);
+                await searchFlights();
+            } else if (state.q) {
+                flightNumberInput.value = state.q;
+                await searchByFlightNumber();
+            } else {
+                currentSearch = { d: null, q: null };
+                clearResults();
+            }
+        }
+
+        const flight = state.f && currentFlights.find(f => f.codeName?.toUpperCase() === state.f);
+        if (flight) {
+            if (FlightModal.activeFlight !== flight) {
+                if (FlightModal.isOpen()) FlightModal.close();
+                FlightModal.open(flight);
+            }
+        } else if (FlightModal.isOpen()) {
+            FlightModal.close();
+        }
+    } finally {
+        applyingUrlState = false;
+    }
+}
+
 // Event listeners
-searchButton.addEventListener('click', searchFlights);
+searchButton.addEventListener('click', () => searchFlights());
+flightNumberButton.addEventListener('click', () => searchByFlightNumber());
+familySearchButton.addEventListener('click', () => searchFamily());
+clearCacheButton.addEventListener('click', () => clearCachedData());
+planItineraryButton.addEventListener('click', () => ItineraryPlanner.plan(currentSearch.d));
+exportButtons.forEach(button => {
+    button.addEventListener('click', () => exportResults(button.dataset.export));
+});
+
+// Opening a flight adds a history entry so Back closes the modal
+document.addEventListener('flightmodal:open', (e) => {
+    if (applyingUrlState) return;
+    UrlState.push({ ...currentSearch, f: e.detail.flight.codeName }, { modal: true });
+});
+
+document.addEventListener('flightmodal:close', () => {
+    if (applyingUrlState) return;
+
+    if (history.state?.modal) {
+        // Return to the entry the modal was opened from
+        history.back();
+    } else {
+        UrlState.replace(currentSearch);
+    }
+});
+
+// Back/forward
+window.addEventListener('popstate', () => {
+    applyUrlState(UrlState.read());
+});
+
+// Re-render dynamic text in the new language
+document.addEventListener('i18n:change', () => {
+    updateOptionLabels();
+    FamilyBirthdays.applyLanguage();
+    ItineraryPlanner.applyLanguage();
+    DateCalendar.applyLanguage();
+    renderDataNotice();
+    if (!searchButton.disabled) setLoading(false);
+    if (currentMessage) showMessage(currentMessage.getText, currentMessage.type);
+    if (currentGroups.length > 0) renderResults(currentGroups);
+    FlightModal.applyLanguage();
+});
 
 // Allow Enter key to search
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !searchButton.disabled) {
-        searchFlights();
+        // Keys in the results controls, the family form and the modal do not start a search
+        if (e.target.closest?.('#results-section, #family-form, #flight-modal')) return;
+
+        if (e.target === flightNumberInput) {
+            searchByFlightNumber();
+        } else {
+            searchFlights();
+        }
     }
 });
 
+/**
+ * Delete cached lookups and the service worker's data caches
+ * The app shell cache is kept so the site still opens offline
+ */
+async function clearCachedData() {
+    clearCacheButton.disabled = true;
+    clearCacheStatus.removeAttribute('data-i18n');
+    clearCacheStatus.textContent = '';
+
+    try {
+        AirportSearch.cache.clear();
+        await CacheStore.clear();
+
+        // Runtime caches named in sw.js
+        if ('caches' in window) {
+            const runtimeCaches = ['airversary-flights', 'airversary-wikipedia', 'airversary-tiles'];
+            await Promise.all(runtimeCaches.map(name => caches.delete(name)));
+        }
+
+        clearCacheStatus.dataset.i18n = 'cache.cleared';
+        I18n.apply(clearCacheStatus.parentElement);
+    } catch (error) {
+        console.error('Failed to clear cached data:', error);
+    } finally {
+        clearCacheButton.disabled = false;
+    }
+}
+
+// Offline support: cache the app, searched birthdays, summaries and map tiles
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
+
 // Initialize on load
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    I18n.init();
+    initializeLanguageSelect();
     initializeSelects();
-    FlightModal.init();
+    FamilyBirthdays.init();
+    ItineraryPlanner.init();
+    setLoading(false);
+    FlightData.init();
+    DateCalendar.init({ onSelect: searchDate });
+    renderDataNotice();
+    FlightData.fetchManifest()
+        .then(manifest => {
+            dataManifest = manifest;
+            renderDataNotice();
+        })
+        .catch(error => console.error('Dataset manifest error:', error));
+    ResultsTable.init();
+
+    // City names in the table come from airports.json
+    await FlightModal.init();
+
+    // Deep link (e.g., ?d=1231&f=NH1231)
+    const state = UrlState.read();
+    UrlState.replace(state);
+    applyUrlState(state);
 });
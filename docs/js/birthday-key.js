@@ -0,0 +1,88 @@
+// Birthday key module
+// Builds and validates the MMDD keys that flight data is stored under.
+// The month is not padded and the day always is, so keys never collide:
+// January 11 → "111", November 1 → "1101"
+
+const BirthdayKey = {
+    // Days per month; February includes the leap day (29th)
+    daysInMonth: [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
+
+    // Month 1-12 without padding, day 01-31 with padding
+    pattern: /^(1[0-2]|[1-9])(0[1-9]|[12]\d|3[01])$/,
+
+    /**
+     * Number of days that exist in a month (February → 29)
+     * @param {number} month - 1-12
+     * @returns {number} - 0 for an invalid month
+     */
+    getDaysInMonth(month) {
+        return this.daysInMonth[month - 1] || 0;
+    },
+
+    /**
+     * Check that a month/day pair is a real calendar date
+     * @param {number} month - 1-12
+     * @param {number} day - 1-31
+     * @returns {boolean}
+     */
+    isValid(month, day) {
+        return Number.isInteger(month) && Number.isInteger(day)
+            && day >= 1 && day <= this.getDaysInMonth(month);
+    },
+
+    /**
+     * Check for February 29
+     * @param {number} month - 1-12
+     * @param {number} day - 1-31
+     * @returns {boolean}
+     */
+    isLeapDay(month, day) {
+        return month === 2 && day === 29;
+    },
+
+    /**
+     * Build the key for a date
+     * @param {number} month - 1-12
+     * @param {number} day - 1-31
+     * @returns {string} - e.g., "1231", "111", "1101", "229"
+     * @throws {RangeError} If the date does not exist (e.g., 2/31, 4/31)
+     */
+    build(month, day) {
+        if (!this.isValid(month, day)) {
+            throw new RangeError(`Invalid birthday: ${month}/${day}`);
+        }
+        return `${month}${String(day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Parse a key back into its date
+     * @param {string} key - MMDD key
+     * @returns {{month: number, day: number} | null} - null if the key is malformed or the date does not exist
+     */
+    parse(key) {
+        const match = String(key).match(this.pattern);
+        if (!match) return null;
+
+        const month = parseInt(match[1], 10);
+        const day = parseInt(match[2], 10);
+        return this.isValid(month, day) ? { month, day } : null;
+    },
+
+    /**
+     * Key for the date a number of days before or after a birthday
+     * Counted in a leap year so February 29 is included, wrapping across the year end
+     * @param {string} key - MMDD key
+     * @param {number} days - Days to add (negative for earlier dates)
+     * @returns {string|null} - null if the key is malformed
+     */
+    addDays(key, days) {
+        const date = this.parse(key);
+        if (!date) return null;
+
+        const shifted = new Date(Date.UTC(2024, date.month - 1, date.day + days));
+        return this.build(shifted.getUTCMonth() + 1, shifted.getUTCDate());
+    }
+};
+
+// Export for use in other modules
+window.BirthdayKey = BirthdayKey;
@@ -0,0 +1,201 @@
+// Cache store module
+// Persistent key/value cache shared by the lookup modules, backed by IndexedDB
+// Entries expire after a TTL and the least recently used ones are evicted past maxEntries
+
+const CacheStore = {
+    dbName: 'airversary-cache',
+    storeName: 'entries',
+    dbVersion: 1,
+
+    // Entry limit across all namespaces
+    maxEntries: 2000,
+
+    // Default lifetimes; failed lookups expire sooner so they are retried
+    defaultTtl: 30 * 24 * 60 * 60 * 1000,
+    negativeTtl: 24 * 60 * 60 * 1000,
+
+    // Promise for the open database (null when IndexedDB is unavailable)
+    opening: null,
+
+    // Entries read or written this session, so repeated lookups skip IndexedDB
+    memory: new Map(),
+
+    /**
+     * Open the database, creating the store on first use
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('accessedAt', 'accessedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Private browsing may block IndexedDB; fall back to the session cache
+                    console.warn('IndexedDB unavailable, caching for this session only:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.opening;
+    },
+
+    /**
+     * Read a cached value
+     * @param {string} namespace - Cache namespace (e.g., "airport")
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<any>} - Cached value (null for a cached miss), undefined if absent or expired
+     */
+    async get(namespace, key) {
+        const id = `${namespace}:${key}`;
+        let entry = this.memory.get(id);
+
+        if (!entry) {
+            entry = await this.request('readonly', store => store.get(id));
+        }
+
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(namespace, key);
+            return undefined;
+        }
+
+        // Mark as recently used
+        entry.accessedAt = Date.now();
+        this.remember(entry);
+        this.request('readwrite', store => store.put(entry));
+
+        return entry.value;
+    },
+
+    /**
+     * Store a value
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {any} value - JSON-serializable value; null records a failed lookup
+     * @param {number} ttl - Lifetime in milliseconds (defaults depend on whether value is null)
+     */
+    async set(namespace, key, value, ttl = value === null ? this.negativeTtl : this.defaultTtl) {
+        const now = Date.now();
+        const entry = {
+            id: `${namespace}:${key}`,
+            namespace,
+            value,
+            expiresAt: now + ttl,
+            accessedAt: now
+        };
+
+        this.remember(entry);
+        await this.request('readwrite', store => store.put(entry));
+        await this.evict();
+    },
+
+    /**
+     * Remove one entry
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     */
+    async delete(namespace, key) {
+        const id = `${namespace}:${key}`;
+        this.memory.delete(id);
+        await this.request('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        this.memory.clear();
+        await this.request('readwrite', store => store.clear());
+    },
+
+    /**
+     * Count stored entries
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const count = await this.request('readonly', store => store.count());
+        return count ?? this.memory.size;
+    },
+
+    /**
+     * Keep an entry in the session map, dropping the least recently used past maxEntries
+     * @param {Object} entry - Stored entry
+     */
+    remember(entry) {
+        // Re-insert so Map order follows last use
+        this.memory.delete(entry.id);
+        this.memory.set(entry.id, entry);
+
+        while (this.memory.size > this.maxEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    },
+
+    /**
+     * Delete the least recently used entries beyond maxEntries
+     */
+    async evict() {
+        const count = await this.request('readonly', store => store.count());
+        const excess = (count || 0) - this.maxEntries;
+        if (excess <= 0) return;
+
+        const db = await this.open();
+        await new Promise(resolve => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const cursorRequest = transaction.objectStore(this.storeName).index('accessedAt').openCursor();
+            let removed = 0;
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || removed >= excess) return;
+
+                this.memory.delete(cursor.primaryKey);
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+            transaction.oncomplete = resolve;
+            transaction.onerror = resolve;
+            transaction.onabort = resolve;
+        });
+    },
+
+    /**
+     * Run one object store request
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<any>} - Request result, undefined if the database is unavailable or fails
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise(resolve => {
+            try {
+                const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Cache store error:', request.error);
+                    resolve(undefined);
+                };
+            } catch (error) {
+                // e.g., the database was closed or deleted in another tab
+                console.warn('Cache store error:', error);
+                resolve(undefined);
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+window.CacheStore = CacheStore;
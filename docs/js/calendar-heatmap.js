@@ -0,0 +1,110 @@
+// Calendar heatmap component
+// Shows a value for every birthday as a 12 × 31 grid (months × days), shaded by
+// how it compares with the largest value. Dates that do not exist are left blank.
+// Each instance owns one container; cells are buttons that report the birthday key
+
+class CalendarHeatmap {
+    // Number of shades above zero
+    static levels = 4;
+
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with the birthday key of a clicked cell
+     * @param {Function} options.getLabel - (key, count) → accessible label of a cell
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.onSelect = options.onSelect || null;
+        this.getLabel = options.getLabel || ((key, count) => `${key}: ${count}`);
+
+        // Values by birthday key; missing keys count as 0
+        this.counts = {};
+        this.selectedKey = null;
+    }
+
+    /**
+     * Shade for a value
+     * @param {number} count - Cell value
+     * @param {number} max - Largest value in the grid
+     * @returns {number} - 0 for none, 1-levels otherwise
+     */
+    static getLevel(count, max) {
+        if (!count || !max) return 0;
+        return Math.max(1, Math.ceil(count / max * CalendarHeatmap.levels));
+    }
+
+    /**
+     * Draw the grid
+     * @param {Object} counts - { MMDD: number }, omit to redraw the last values (e.g., new language)
+     */
+    render(counts = this.counts) {
+        this.counts = counts;
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const max = Math.max(0, ...Object.values(counts));
+
+        const header = Array.from({ length: 31 }, (_, i) => `<th scope="col">${i + 1}</th>`).join('');
+        const rows = Array.from({ length: 12 }, (_, i) => {
+            const month = i + 1;
+            const cells = Array.from({ length: 31 }, (_, j) => {
+                const day = j + 1;
+                if (!BirthdayKey.isValid(month, day)) {
+                    return '<td class="heatmap-blank"></td>';
+                }
+
+                const key = BirthdayKey.build(month, day);
+                const count = counts[key] || 0;
+                const label = escapeHtml(this.getLabel(key, count));
+                const selected = key === this.selectedKey ? ' selected' : '';
+                return `
+                    <td><button type="button" class="heatmap-cell level-${CalendarHeatmap.getLevel(count, max)}${selected}"
+                        data-key="${key}" title="${label}" aria-label="${label}"></button></td>
+                `;
+            }).join('');
+
+            return `<tr><th scope="row">${escapeHtml(I18n.formatMonthName(month, 'short'))}</th>${cells}</tr>`;
+        }).join('');
+
+        const legend = Array.from({ length: CalendarHeatmap.levels + 1 }, (_, level) => {
+            return `<span class="heatmap-cell level-${level}"></span>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="heatmap-scroll">
+                <table class="calendar-heatmap">
+                    <thead><tr><th></th>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="heatmap-legend" aria-hidden="true">
+                <span>${escapeHtml(I18n.t('heatmap.less'))}</span>${legend}<span>${escapeHtml(I18n.t('heatmap.more'))}</span>
+            </div>
+        `;
+
+        container.querySelectorAll('button.heatmap-cell').forEach(button => {
+            button.addEventListener('click', () => {
+                this.select(button.dataset.key);
+                if (this.onSelect) this.onSelect(button.dataset.key);
+            });
+        });
+    }
+
+    /**
+     * Mark a cell as the current date
+     * @param {string|null} key - Birthday key, null to clear
+     */
+    select(key) {
+        this.selectedKey = key;
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.querySelectorAll('button.heatmap-cell').forEach(button => {
+            button.classList.toggle('selected', button.dataset.key === key);
+        });
+    }
+}
+
+// Export for use in other modules
+window.CalendarHeatmap = CalendarHeatmap;
@@ -0,0 +1,123 @@
+// Date calendar module
+// Year view of the number of flights on every birthday, from the precomputed counts
+// (FlightData.fetchDateCounts). Clicking a date searches it, and the counts are used
+// to suggest the nearest dates with flights when a search finds none
+
+const DateCalendar = {
+    // CalendarHeatmap instance
+    heatmap: null,
+
+    // Flights by birthday key (null until loaded, or if the counts have not been generated)
+    counts: null,
+
+    // Pending or finished load, shared by every caller
+    loading: null,
+
+    /**
+     * Create the heatmap and load the counts
+     * @param {Object} options
+     * @param {Function} options.onSelect - Receives the birthday key of a clicked date
+     */
+    init({ onSelect } = {}) {
+        this.heatmap = new CalendarHeatmap('date-heatmap', {
+            getLabel: (key, count) => {
+                const { month, day } = BirthdayKey.parse(key);
+                return I18n.t('heatmap.cell', { date: formatBirthday(month, day), count });
+            },
+            onSelect
+        });
+
+        this.load().then(() => this.render());
+    },
+
+    /**
+     * Load the counts once
+     * @returns {Promise<Object|null>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = FlightData.fetchDateCounts()
+                .catch(error => {
+                    console.error('Date counts error:', error);
+                    return null;
+                })
+                .then(counts => {
+                    this.counts = counts;
+                    return counts;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Show the calendar; it stays hidden without counts
+     */
+    render() {
+        const section = document.getElementById('date-calendar-section');
+        section.hidden = !this.counts;
+        if (!this.counts) return;
+
+        const counts = Object.values(this.counts);
+        document.getElementById('date-calendar-status').textContent = I18n.t('dateCalendar.summary', {
+            dates: counts.filter(count => count > 0).length,
+            count: counts.reduce((sum, count) => sum + count, 0)
+        });
+        this.heatmap.render(this.counts);
+    },
+
+    /**
+     * Mark the searched date
+     * @param {string|null} birthday - Birthday key, null to clear
+     */
+    select(birthday) {
+        this.heatmap.select(birthday);
+    },
+
+    /**
+     * Nearest dates with flights before and after a birthday (wrapping across the year end)
+     * Never waits for the counts, so it does not hold up the search message
+     * @param {string} birthday - Birthday key
+     * @returns {Array<{key: string, count: number, offset: number}>} - Empty until the counts are loaded
+     */
+    getNearest(birthday) {
+        const counts = this.counts;
+        if (!counts) return [];
+
+        const nearest = [];
+        [-1, 1].forEach(direction => {
+            // Half a year each way covers every date
+            for (let days = 1; days <= 183; days++) {
+                const key = BirthdayKey.addDays(birthday, direction * days);
+                if (counts[key] > 0) {
+                    if (!nearest.some(date => date.key === key)) {
+                        nearest.push({ key, count: counts[key], offset: direction * days });
+                    }
+                    break;
+                }
+            }
+        });
+        return nearest;
+    },
+
+    /**
+     * List dates with their flight counts (e.g., "12月25日（1便）、12月31日（2便）")
+     * @param {Array} dates - Result of getNearest
+     * @returns {string}
+     */
+    formatDates(dates) {
+        return dates.map(({ key, count }) => {
+            const { month, day } = BirthdayKey.parse(key);
+            return I18n.t('result.nearestDate', { date: formatBirthday(month, day), count });
+        }).join(I18n.t('result.listSeparator'));
+    },
+
+    /**
+     * Re-render text in the active language
+     */
+    applyLanguage() {
+        if (this.counts) this.render();
+    }
+};
+
+// Export for use in other modules
+window.DateCalendar = DateCalendar;
@@ -0,0 +1,268 @@
+// Family birthdays module
+// Keeps a list of named birthdays (saved in localStorage) for searching a whole
+// family or group at once, and finds overlaps between their flights: shared
+// airports and airlines, and connections where one person's flight arrives
+// where another's departs
+
+const FamilyBirthdays = {
+    storageKey: 'airversary:family',
+    maxMembers: 12,
+    maxNameLength: 30,
+
+    // [{ name, birthday }] in the order they were added
+    members: [],
+
+    // Form and list elements
+    form: null,
+    nameInput: null,
+    monthSelect: null,
+    daySelect: null,
+    list: null,
+
+    /**
+     * Load the saved list and bind the form
+     */
+    init() {
+        this.form = document.getElementById('family-form');
+        this.nameInput = document.getElementById('family-name');
+        this.monthSelect = document.getElementById('family-month');
+        this.daySelect = document.getElementById('family-day');
+        this.list = document.getElementById('family-list');
+
+        this.members = this.load();
+
+        for (let month = 1; month <= 12; month++) {
+            const option = document.createElement('option');
+            option.value = month;
+            this.monthSelect.appendChild(option);
+        }
+        this.updateDayOptions(1);
+        this.monthSelect.addEventListener('change', () => this.updateDayOptions());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addFromForm();
+        });
+
+        this.applyLanguage();
+    },
+
+    /**
+     * Offer only the days that exist in the selected month
+     * @param {number} selectedDay - Day to keep selected
+     */
+    updateDayOptions(selectedDay = parseInt(this.daySelect.value, 10)) {
+        const daysInMonth = BirthdayKey.getDaysInMonth(parseInt(this.monthSelect.value, 10));
+        const day = Math.min(selectedDay || 1, daysInMonth);
+
+        this.daySelect.innerHTML = '';
+        for (let d = 1; d <= daysInMonth; d++) {
+            const option = document.createElement('option');
+            option.value = d;
+            option.textContent = I18n.t('search.dayOption', { day: d });
+            if (d === day) option.selected = true;
+            this.daySelect.appendChild(option);
+        }
+    },
+
+    /**
+     * Re-label options and the list in the active language
+     */
+    applyLanguage() {
+        Array.from(this.monthSelect.options).forEach(option => {
+            const month = parseInt(option.value, 10);
+            option.textContent = I18n.t('search.monthOption', { month, monthName: I18n.formatMonthName(month) });
+        });
+        Array.from(this.daySelect.options).forEach(option => {
+            option.textContent = I18n.t('search.dayOption', { day: parseInt(option.value, 10) });
+        });
+        this.renderList();
+    },
+
+    /**
+     * Read the saved list, skipping malformed entries
+     * @returns {Array<{name: string, birthday: string}>}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            if (!Array.isArray(saved)) return [];
+
+            return saved
+                .filter(member => typeof member?.name === 'string' && member.name.trim() && BirthdayKey.parse(member.birthday))
+                .slice(0, this.maxMembers)
+                .map(member => ({ name: member.name.trim().slice(0, this.maxNameLength), birthday: member.birthday }));
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Save the list
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.members));
+        } catch (error) {
+            console.warn('Failed to save family birthdays:', error);
+        }
+    },
+
+    /**
+     * Add the person entered in the form
+     */
+    addFromForm() {
+        const name = this.nameInput.value.trim().slice(0, this.maxNameLength);
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+
+        const birthday = BirthdayKey.build(parseInt(this.monthSelect.value, 10), parseInt(this.daySelect.value, 10));
+        if (this.add(name, birthday)) {
+            this.nameInput.value = '';
+            this.nameInput.focus();
+        }
+    },
+
+    /**
+     * Add a person
+     * @param {string} name - Display name
+     * @param {string} birthday - Birthday key
+     * @returns {boolean} - false if the list is full or the person is already listed
+     */
+    add(name, birthday) {
+        const duplicate = this.members.some(member => member.name === name && member.birthday === birthday);
+        if (duplicate || this.members.length >= this.maxMembers) return false;
+
+        this.members.push({ name, birthday });
+        this.save();
+        this.renderList();
+        return true;
+    },
+
+    /**
+     * Remove a person by position
+     * @param {number} index - Position in members
+     */
+    remove(index) {
+        this.members.splice(index, 1);
+        this.save();
+        this.renderList();
+    },
+
+    /**
+     * Label for a person (e.g., "Hanako（12月25日）")
+     * @param {{name: string, birthday: string}} member
+     * @returns {string}
+     */
+    getLabel(member) {
+        const { month, day } = BirthdayKey.parse(member.birthday);
+        return I18n.t('family.member', { name: member.name, date: formatBirthday(month, day) });
+    },
+
+    /**
+     * Render the saved people as removable chips
+     */
+    renderList() {
+        this.list.innerHTML = '';
+        this.list.hidden = this.members.length === 0;
+
+        this.members.forEach((member, index) => {
+            const item = document.createElement('li');
+            item.className = 'family-member';
+            item.innerHTML = `
+                <span>${escapeHtml(this.getLabel(member))}</span>
+                <button type="button" class="family-remove" aria-label="${escapeHtml(I18n.t('family.remove', { name: member.name }))}">
+                    <i class="material-icons">close</i>
+                </button>
+            `;
+            item.querySelector('button').addEventListener('click', () => this.remove(index));
+            this.list.appendChild(item);
+        });
+
+        const full = this.members.length >= this.maxMembers;
+        this.form.querySelector('button[type="submit"]').disabled = full;
+    },
+
+    /**
+     * Find overlaps between different people's flights
+     * Only groups with a member (family search results) are compared
+     * @param {Array} groups - Result groups [{ member, flights }]
+     * @returns {Map<Object, {departure: boolean, arrival: boolean, airline: boolean, chainsTo: Array, chainsFrom: Array}>} - Keyed by flight
+     */
+    findOverlaps(groups) {
+        const entries = groups.flatMap((group, person) => {
+            return group.member ? group.flights.map(flight => ({ flight, person, member: group.member })) : [];
+        });
+
+        // People per airport code and per airline
+        const airportPeople = new Map();
+        const airlinePeople = new Map();
+        const addPerson = (map, key, person) => {
+            if (!key) return;
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(person);
+        };
+
+        entries.forEach(({ flight, person }) => {
+            addPerson(airportPeople, this.normalizeCode(flight.departureCode), person);
+            addPerson(airportPeople, this.normalizeCode(flight.arrivalCode), person);
+            addPerson(airlinePeople, RoutesOverview.getAirlineKey(flight), person);
+        });
+
+        const isShared = (map, key) => (map.get(key)?.size || 0) > 1;
+        const overlaps = new Map();
+
+        entries.forEach(({ flight, person }) => {
+            const departure = this.normalizeCode(flight.departureCode);
+            const arrival = this.normalizeCode(flight.arrivalCode);
+            const others = entries.filter(other => other.person !== person);
+
+            overlaps.set(flight, {
+                departure: isShared(airportPeople, departure),
+                arrival: isShared(airportPeople, arrival),
+                airline: isShared(airlinePeople, RoutesOverview.getAirlineKey(flight)),
+                chainsTo: others
+                    .filter(other => arrival && this.normalizeCode(other.flight.departureCode) === arrival)
+                    .map(({ flight: next, member }) => ({ flight: next, member })),
+                chainsFrom: others
+                    .filter(other => departure && this.normalizeCode(other.flight.arrivalCode) === departure)
+                    .map(({ flight: previous, member }) => ({ flight: previous, member }))
+            });
+        });
+
+        return overlaps;
+    },
+
+    /**
+     * Summary counts for findOverlaps results
+     * @param {Map} overlaps - Result of findOverlaps
+     * @returns {{chains: number, airports: number, airlines: number}}
+     */
+    summarize(overlaps) {
+        const airports = new Set();
+        const airlines = new Set();
+        let chains = 0;
+
+        overlaps.forEach((overlap, flight) => {
+            if (overlap.departure) airports.add(this.normalizeCode(flight.departureCode));
+            if (overlap.arrival) airports.add(this.normalizeCode(flight.arrivalCode));
+            if (overlap.airline) airlines.add(RoutesOverview.getAirlineKey(flight));
+            chains += overlap.chainsTo.length;
+        });
+
+        return { chains, airports: airports.size, airlines: airlines.size };
+    },
+
+    /**
+     * @param {string} code - Airport code
+     * @returns {string} - Uppercase code, '' if missing
+     */
+    normalizeCode(code) {
+        return code?.toUpperCase().trim() || '';
+    }
+};
+
+// Export for use in other modules
+window.FamilyBirthdays = FamilyBirthdays;
@@ -0,0 +1,249 @@
+// Flight data module with swappable backends
+// Every provider returns normalized flight objects for a MMDD birthday key.
+// The year calendar's counts come from a static file built by scripts/build-date-counts.js
+// (or the dataset manifest); the memory provider counts its fixture
+
+const FlightData = {
+    // Active provider
+    provider: null,
+
+    // Flights per birthday (scripts/build-date-counts.js)
+    dateCountsUrl: 'data/date-counts.json',
+
+    // Collection date and counts of the static dataset (scripts/build-dataset.js)
+    manifestUrl: 'data/flights/manifest.json',
+
+    providers: {
+        /**
+         * Firebase Realtime Database (production data)
+         * Read through the REST API so the service worker can cache each birthday key
+         */
+        firebase: {
+            name: 'firebase',
+
+            /**
+             * @param {string} birthday - MMDD key (e.g., "1231", "111")
+             * @returns {Promise<Array>}
+             */
+            async fetchFlights(birthday) {
+                if (typeof firebase === 'undefined' || firebase.apps.length === 0) {
+                    throw new Error('Firebase is not initialized');
+                }
+
+                const { databaseURL } = firebase.app().options;
+                const response = await fetch(`${databaseURL}/${birthday}.json`);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error: ${response.status}`);
+                }
+
+                // Keys without flights return null
+                return FlightData.normalizeAll(await response.json());
+            }
+        },
+
+        /**
+         * Static JSON files under data/ (one file per birthday key)
+         * Each file has the same shape as a database child: { "NH1231": { A_code, ... } }
+         */
+        static: {
+            name: 'static',
+            baseUrl: 'data/flights',
+
+            /**
+             * @param {string} birthday - MMDD key
+             * @returns {Promise<Array>}
+             */
+            async fetchFlights(birthday) {
+                const response = await fetch(`${this.baseUrl}/${birthday}.json`);
+
+                // Dates without flights have no file
+                if (response.status === 404) return [];
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error: ${response.status}`);
+                }
+
+                return FlightData.normalizeAll(await response.json());
+            },
+
+            /**
+             * Flights per birthday from the dataset manifest, which counts exactly these files
+             * @returns {Promise<Object|null>}
+             */
+            async fetchDateCounts() {
+                const manifest = await FlightData.fetchManifest();
+                return manifest?.counts || FlightData.fetchStaticDateCounts();
+            }
+        },
+
+        /**
+         * In-memory fixture for development and tests
+         */
+        memory: {
+            name: 'memory',
+
+            // Records keyed by birthday, same shape as the database
+            data: {
+                '1225': {
+                    'NH1225': { A_code: 'LAX', A_place: 'ロサンゼルス', AirName: '全日本空輸', D_code: 'HND', D_place: '東京' }
+                },
+                '1231': {
+                    'JL1231': { A_code: 'CTS', A_place: '札幌', AirName: '日本航空', D_code: 'HND', D_place: '東京' },
+                    'NH1231': { A_code: 'FUK', A_place: '福岡', AirName: '全日本空輸', D_code: 'HND', D_place: '東京' }
+                },
+                '111': {
+                    'JL111': { A_code: 'ITM', A_place: '大阪', AirName: '日本航空', D_code: 'HND', D_place: '東京' }
+                },
+                '1101': {
+                    'SQ1101': { A_code: 'SIN', A_place: 'シンガポール', AirName: 'シンガポール航空', D_code: 'NRT', D_place: '成田' }
+                }
+            },
+
+            /**
+             * @param {string} birthday - MMDD key
+             * @returns {Promise<Array>}
+             */
+            async fetchFlights(birthday) {
+                return FlightData.normalizeAll(this.data[birthday]);
+            },
+
+            /**
+             * Count the fixture's flights instead of reading the static file
+             * @returns {Promise<Object>}
+             */
+            async fetchDateCounts() {
+                return FlightData.countRecords(this.data);
+            }
+        }
+    },
+
+    /**
+     * Select the provider from the "source" query parameter (default: firebase)
+     */
+    init() {
+        const source = new URLSearchParams(window.location.search).get('source');
+        this.use(source && this.providers[source] ? source : 'firebase');
+    },
+
+    /**
+     * Switch the active provider
+     * @param {string} name - Provider name ('firebase', 'static', 'memory')
+     * @param {Object} options - Provider properties to override (e.g., baseUrl, data)
+     */
+    use(name, options = {}) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown flight data provider: ${name}`);
+        }
+
+        Object.assign(provider, options);
+        this.provider = provider;
+    },
+
+    /**
+     * Fetch flights for a birthday key from the active provider
+     * @param {string} birthday - MMDD key
+     * @returns {Promise<Array<{codeName: string, airlineName: string, departureCode: string, departurePlace: string, arrivalCode: string, arrivalPlace: string, birthday: string, airline: Object|null}>>}
+     */
+    async fetchFlights(birthday) {
+        if (!BirthdayKey.parse(birthday)) {
+            throw new RangeError(`Invalid birthday key: ${birthday}`);
+        }
+
+        if (!this.provider) this.init();
+        const [flights] = await Promise.all([
+            this.provider.fetchFlights(birthday),
+            AirlineLookup.init()
+        ]);
+
+        // Keep the key on each flight so views opened from any search know its date,
+        // and add airline metadata from the flight code prefix (see AirlineLookup.lookup)
+        return flights.map(flight => ({ ...flight, birthday, airline: AirlineLookup.lookup(flight.codeName) }));
+    },
+
+    /**
+     * Number of flights for each birthday from the active provider
+     * @returns {Promise<Object|null>} - { MMDD: number }; null if no counts are available
+     */
+    async fetchDateCounts() {
+        if (!this.provider) this.init();
+        if (this.provider.fetchDateCounts) {
+            return this.provider.fetchDateCounts();
+        }
+        return this.fetchStaticDateCounts();
+    },
+
+    /**
+     * Counts generated by scripts/build-date-counts.js
+     * @returns {Promise<Object|null>} - null if the file has not been generated
+     */
+    async fetchStaticDateCounts() {
+        const response = await fetch(this.dateCountsUrl);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.counts || {};
+    },
+
+    /**
+     * Manifest of the static dataset, which also records when the data was collected
+     * Read whatever the provider, since the static files are a snapshot of the database
+     * @returns {Promise<{collectedAt: string, generatedAt: string, total: number, counts: Object} | null>}
+     *   null if the dataset has not been built
+     */
+    async fetchManifest() {
+        const response = await fetch(this.manifestUrl);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Count birthday records, in the same shape as the static counts
+     * @param {Object} records - { MMDD: { flightCode: record } }
+     * @returns {Object} - { MMDD: number }
+     */
+    countRecords(records) {
+        const counts = {};
+        Object.keys(records).forEach(key => {
+            if (BirthdayKey.parse(key)) counts[key] = Object.keys(records[key] || {}).length;
+        });
+        return counts;
+    },
+
+    /**
+     * Normalize every record of a birthday child object
+     * @param {Object|null} records - { flightCode: record }
+     * @returns {Array}
+     */
+    normalizeAll(records) {
+        if (!records) return [];
+        return Object.keys(records).map(codeName => this.normalize(codeName, records[codeName]));
+    },
+
+    /**
+     * Convert a database record into a flight object
+     * @param {string} codeName - Flight code (record key, e.g., "NH1231")
+     * @param {Object} record - Record with A_code/A_place/AirName/D_code/D_place
+     * @returns {Object}
+     */
+    normalize(codeName, record) {
+        return {
+            codeName,
+            arrivalCode: record?.A_code ?? null,
+            arrivalPlace: record?.A_place ?? null,
+            airlineName: record?.AirName ?? null,
+            departureCode: record?.D_code ?? null,
+            departurePlace: record?.D_place ?? null
+        };
+    }
+};
+
+// Export for use in other modules
+window.FlightData = FlightData;
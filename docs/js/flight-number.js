@@ -0,0 +1,67 @@
+// Flight number parser
+// Turns free-text flight numbers ("NH1225", "1225", "JL 111") into birthday keys
+
+const FlightNumberParser = {
+    /**
+     * Parse a flight number typed by the user
+     * @param {string} input - Free text (e.g., "NH1225", "jl 111", "ＮＨ１２２５便")
+     * @returns {{airline: string|null, number: string, interpretations: Array<{birthday: string, month: number, day: number, exact: boolean}>} | null}
+     *   null if the input is not a flight number
+     */
+    parse(input) {
+        if (!input) return null;
+
+        // Normalize full-width characters, case, separators and the "便" suffix
+        const text = input.normalize('NFKC').toUpperCase().replace(/便$/, '').trim();
+
+        // Optional 2-character IATA airline prefix (e.g., "NH", "3K"), then 1-4 digits
+        const match = text.match(/^(?:([A-Z]{2}|[A-Z]\d|\d[A-Z])[\s-]*)?(\d{1,4})$/);
+        if (!match) return null;
+
+        const airline = match[1] || null;
+        const number = match[2].replace(/^0+/, '');
+        if (!number) return null;
+
+        return {
+            airline,
+            number,
+            interpretations: this.interpret(number)
+        };
+    },
+
+    /**
+     * List every month/day reading of a flight number
+     * The site's rule pads the day to two digits (1/11 → 111, 11/1 → 1101), so that
+     * reading is exact; reading a one-digit day (111 → 11/1) is kept as a loose match
+     * @param {string} number - Flight number digits without leading zeros
+     * @returns {Array<{birthday: string, month: number, day: number, exact: boolean}>}
+     */
+    interpret(number) {
+        const interpretations = [];
+
+        for (let split = 1; split <= 2 && split < number.length; split++) {
+            const monthPart = number.slice(0, split);
+            const dayPart = number.slice(split);
+
+            // Month has no leading zero; day is one digit or two (zero padded)
+            if (dayPart.length > 2 || (dayPart.length === 1 && dayPart === '0')) continue;
+
+            const month = parseInt(monthPart, 10);
+            const day = parseInt(dayPart, 10);
+            if (!BirthdayKey.isValid(month, day)) continue;
+
+            interpretations.push({
+                birthday: BirthdayKey.build(month, day),
+                month,
+                day,
+                exact: dayPart.length === 2
+            });
+        }
+
+        // Exact reading first
+        return interpretations.sort((a, b) => b.exact - a.exact);
+    }
+};
+
+// Export for use in other modules
+window.FlightNumberParser = FlightNumberParser;
@@ -0,0 +1,547 @@
+// Internationalization module
+// String catalogue, language switching and date formatting for the UI
+
+const I18n = {
+    // Key for the persisted language preference
+    storageKey: 'airversary:language',
+
+    defaultLanguage: 'ja',
+    language: 'ja',
+
+    // Languages offered in the switcher
+    languages: {
+        ja: '日本語',
+        en: 'English'
+    },
+
+    // String catalogue; "{name}" is replaced by params, ".one"/".other" are plural forms
+    messages: {
+        ja: {
+            'meta.title': 'Airversary - 誕生日フライト検索',
+            'meta.description': '誕生日の月日がフライト便名になっている航空便を検索できるサイト',
+            'header.subtitle': '誕生日フライト検索',
+            'header.language': '言語',
+
+            'about.title': 'Airversaryとは？',
+            'about.item1': '便名が月日（誕生日）となっているフライトを検索できるサイトです。',
+            'about.item2': '例えば、12月31日を検索すると、世界中の航空会社のXX-1231便が表示されます（XXは航空会社の2レターコード）。',
+            'about.item3': '1月11日→111便、11月1日→1101便となります。',
+            'about.item4': 'うるう日の2月29日→229便も検索できます。',
+            'about.item5': 'サイト名は「Air」と「Anniversary」を掛け合わせた造語です。',
+
+            'search.title': 'フライト検索',
+            'search.month': '月',
+            'search.day': '日',
+            'search.monthOption': '{month}月',
+            'search.dayOption': '{day}日',
+            'search.submit': '検索する',
+            'search.loading': '検索中...',
+            'search.flightNumberLabel': '便名から探す',
+            'search.flightNumberPlaceholder': '例: NH1225, 1225, JL 111',
+            'search.flightNumberSubmit': '便名で検索',
+
+            'date.leapDay': '{date}（うるう日）',
+            'flight.name': '{code}便',
+
+            'result.found': '{date}のフライトが {count}件 見つかりました！',
+            'result.notFound': '{date}のフライトは見つかりませんでした。',
+            'result.notFoundNearest': '{date}のフライトは見つかりませんでした。近くでフライトがある日: {dates}',
+            'result.invalidDate': '{month}月{day}日は存在しない日付です。',
+            'result.error': '検索中にエラーが発生しました。しばらくしてからお試しください。',
+            'result.flightNumberInvalid': '便名を認識できませんでした（例: NH1225, 1225, JL 111）。',
+            'result.flightNumberNoDate': '{flight}に対応する誕生日はありません。',
+            'result.flightNumberFound': '{flight}に該当するフライトが {count}件 見つかりました！',
+            'result.flightNumberNotFound': '{flight}（{dates}）のフライトは見つかりませんでした。',
+            'result.group': '{date}（{flight}便）',
+            'result.groupLoose': '{number}を{month}/{day}と読んだ場合',
+            'result.listSeparator': '、',
+            'result.nearestDate': '{date}（{count}便）',
+
+            'family.title': '家族・グループで探す',
+            'family.name': '名前',
+            'family.namePlaceholder': '例: はなこ',
+            'family.add': '追加',
+            'family.remove': '{name}を削除',
+            'family.submit': 'みんなで検索',
+            'family.member': '{name}（{date}）',
+            'family.empty': '名前と誕生日を追加してください。',
+            'family.found': '{people}人分のフライトが {count}件 見つかりました！',
+            'family.notFound': '{people}人分の誕生日のフライトは見つかりませんでした。',
+            'family.sharedAirport': 'ほかの人のフライトにもある空港',
+            'family.sharedAirline': 'ほかの人のフライトにもある航空会社',
+            'family.chainTo': '→ {name}の{flight}',
+            'family.chainFrom': '← {name}の{flight}',
+            'family.more': 'ほか{count}件',
+            'family.summary': '乗り継げる組み合わせ {chains}件・共通の空港 {airports}・共通の航空会社 {airlines}',
+
+            'itinerary.open': '前後の日とつなぐ旅程',
+            'itinerary.title': '誕生日ウィークの旅程',
+            'itinerary.range': '{from}〜{to}のフライトから、到着した空港から翌日以降に出発する便をつないだ旅程です（{date}の便を含むもの）。',
+            'itinerary.sort': '並び順',
+            'itinerary.longest': '距離が長い順',
+            'itinerary.shortest': '距離が短い順',
+            'itinerary.loading': 'フライトを検索中...',
+            'itinerary.found': '{count}通りの旅程が見つかりました。',
+            'itinerary.foundCapped': '組み合わせが多いため途中で探索を打ち切りました。見つかった{count}通りのうち上位{shown}件を表示しています（すべての旅程を比べた順位ではありません）。',
+            'itinerary.none': '{count}便を調べましたが、つながる旅程はありませんでした。',
+            'itinerary.skipped': '位置情報のない{count}便は含まれていません。',
+            'itinerary.legs': '{count}区間',
+
+
+            'dateCalendar.title': '誕生日カレンダー',
+            'dateCalendar.summary': '{dates}日の誕生日に合計 {count}便 あります。日付を選ぶと検索します。',
+
+            'heatmap.cell': '{date}: {count}便',
+            'heatmap.less': '少',
+            'heatmap.more': '多',
+
+            'table.flight': '便名',
+            'table.airline': '航空会社',
+            'table.departure': '出発地',
+            'table.arrival': '到着地',
+            'table.code': 'コード',
+            'table.filterPlaceholder': '航空会社・都市で絞り込み',
+            'table.groupByAirline': '航空会社ごとにまとめる',
+            'table.airlineFlights': '{count}便',
+            'table.clearFilters': '絞り込みを解除',
+            'table.countryChips': '出発国',
+            'table.airlineChips': '航空会社',
+            'table.unknownCountry': '不明',
+            'table.allianceChips': 'アライアンス',
+            'table.noAlliance': '非加盟',
+            'table.showing': '{total}便中 {shown}便を表示',
+            'table.noMatch': '条件に一致するフライトはありません',
+
+            'export.csv': 'CSVでダウンロード',
+            'export.json': 'JSONでダウンロード',
+            'export.ics': 'カレンダー（.ics）に追加',
+            'export.calendarName': '誕生日フライト',
+            'export.eventSummary': '誕生日フライト {flight}（{from} → {to}）',
+
+            'share.title': '誕生日フライト',
+            'share.download': '画像を保存',
+            'share.share': 'シェア',
+            'share.text': '{date}の誕生日フライトは {flight}（{from} → {to}）',
+
+            'notice.title': 'データについて',
+            'notice.body': 'データは{date}に収集したものです。現在は運航していない、または違う路線に割り当てられている可能性があります。',
+            'notice.bodyUndated': 'データの収集日は不明です。現在は運航していない、または違う路線に割り当てられている可能性があります。',
+
+            'cache.clear': '保存したデータを削除',
+            'cache.cleared': '保存したデータを削除しました',
+
+            'modal.close': '閉じる',
+            'modal.departure': '出発',
+            'modal.arrival': '到着',
+            'modal.loading': '読み込み中...',
+            'modal.mapLoading': '地図を読み込み中...',
+            'modal.mapNoData': '位置情報がありません',
+            'modal.noSummary': '説明を取得できませんでした',
+            'modal.wikipediaSource': 'Wikipedia（{lang}）で読む',
+            'airport.name': '空港',
+            'airport.icao': 'ICAO',
+            'airport.elevation': '標高',
+            'airport.elevationValue': '{meters} m（{feet} ft）',
+            'airport.timezone': 'タイムゾーン',
+            'airport.country': '国',
+
+            'route.distance': '距離',
+            'route.bearing': '方位',
+            'route.blockTime': '所要時間（目安）',
+            'route.timeDifference': '時差',
+            'route.distanceValue': '{km} km（{mi} マイル）',
+            'route.bearingValue': '{degrees}°（{compass}）',
+            'route.blockTimeValue': '約{duration}',
+            'route.timeDifferenceValue': '{offset}（{from} → {to}）',
+            'route.noTimeDifference': 'なし',
+            'route.unknown': '不明',
+
+            'plane.play': '再生',
+            'plane.pause': '一時停止',
+            'plane.replay': 'もう一度再生',
+
+            'compass.N': '北',
+            'compass.NE': '北東',
+            'compass.E': '東',
+            'compass.SE': '南東',
+            'compass.S': '南',
+            'compass.SW': '南西',
+            'compass.W': '西',
+            'compass.NW': '北西',
+
+            'duration.hours': '{hours}時間',
+            'duration.minutes': '{minutes}分',
+            'duration.hoursMinutes': '{hours}時間{minutes}分',
+
+            'overview.airportFlights': '{count}便',
+            'overview.skipped': '位置情報のない{count}便は地図に表示されていません'
+        },
+
+        en: {
+            'meta.title': 'Airversary - Birthday Flight Search',
+            'meta.description': 'Find flights whose flight number matches your birthday',
+            'header.subtitle': 'Birthday Flight Search',
+            'header.language': 'Language',
+
+            'about.title': 'What is Airversary?',
+            'about.item1': 'Find flights whose flight number is a month and day — your birthday.',
+            'about.item2': 'For example, searching December 31 shows flight XX1231 of airlines around the world (XX is the airline\'s two-letter code).',
+            'about.item3': 'January 11 → flight 111, November 1 → flight 1101.',
+            'about.item4': 'February 29 (leap day) → flight 229 can be searched too.',
+            'about.item5': 'The name combines "Air" and "Anniversary".',
+
+            'search.title': 'Flight Search',
+            'search.month': 'Month',
+            'search.day': 'Day',
+            'search.monthOption': '{monthName}',
+            'search.dayOption': '{day}',
+            'search.submit': 'Search',
+            'search.loading': 'Searching...',
+            'search.flightNumberLabel': 'Search by flight number',
+            'search.flightNumberPlaceholder': 'e.g. NH1225, 1225, JL 111',
+            'search.flightNumberSubmit': 'Find flight',
+
+            'date.leapDay': '{date} (leap day)',
+            'flight.name': 'Flight {code}',
+
+            'result.found.one': 'Found {count} flight on {date}!',
+            'result.found.other': 'Found {count} flights on {date}!',
+            'result.notFound': 'No flights found on {date}.',
+            'result.notFoundNearest': 'No flights found on {date}. Nearest dates with flights: {dates}.',
+            'result.invalidDate': '{month}/{day} is not a valid date.',
+            'result.error': 'An error occurred while searching. Please try again later.',
+            'result.flightNumberInvalid': 'Could not read the flight number (e.g. NH1225, 1225, JL 111).',
+            'result.flightNumberNoDate': 'No birthday matches flight {flight}.',
+            'result.flightNumberFound.one': 'Found {count} flight matching {flight}!',
+            'result.flightNumberFound.other': 'Found {count} flights matching {flight}!',
+            'result.flightNumberNotFound': 'No flights found for {flight} ({dates}).',
+            'result.group': '{date} (flight {flight})',
+            'result.groupLoose': 'reading {number} as {month}/{day}',
+            'result.listSeparator': ', ',
+            'result.nearestDate.one': '{date} ({count} flight)',
+            'result.nearestDate.other': '{date} ({count} flights)',
+
+            'family.title': 'Search for family and friends',
+            'family.name': 'Name',
+            'family.namePlaceholder': 'e.g. Hanako',
+            'family.add': 'Add',
+            'family.remove': 'Remove {name}',
+            'family.submit': 'Search everyone',
+            'family.member': '{name} ({date})',
+            'family.empty': 'Add a name and birthday first.',
+            'family.found.one': 'Found {count} flight for your group!',
+            'family.found.other': 'Found {count} flights for your group!',
+            'family.notFound': 'No flights found for anyone in your group.',
+            'family.sharedAirport': 'Airport also in someone else\'s flights',
+            'family.sharedAirline': 'Airline also in someone else\'s flights',
+            'family.chainTo': '→ {name}\'s {flight}',
+            'family.chainFrom': '← {name}\'s {flight}',
+            'family.more': '+{count} more',
+            'family.summary': 'Connections: {chains} · Shared airports: {airports} · Shared airlines: {airlines}',
+
+            'itinerary.open': 'Plan a trip across nearby days',
+            'itinerary.title': 'Birthday week trips',
+            'itinerary.range': 'Flights from {from} to {to}, chained so each leg departs from the previous arrival airport on a later day (every trip includes a flight on {date}).',
+            'itinerary.sort': 'Sort',
+            'itinerary.longest': 'Longest first',
+            'itinerary.shortest': 'Shortest first',
+            'itinerary.loading': 'Searching flights...',
+            'itinerary.found.one': 'Found {count} trip.',
+            'itinerary.found.other': 'Found {count} trips.',
+            'itinerary.foundCapped': 'There were too many combinations to try them all, so the search stopped early. Showing the top {shown} of the {count} trips found (not a ranking of every possible trip).',
+            'itinerary.none.one': 'Checked {count} flight, but none connect into a trip.',
+            'itinerary.none.other': 'Checked {count} flights, but none connect into a trip.',
+            'itinerary.skipped.one': '{count} flight without location data is not included.',
+            'itinerary.skipped.other': '{count} flights without location data are not included.',
+            'itinerary.legs.one': '{count} leg',
+            'itinerary.legs.other': '{count} legs',
+
+
+            'dateCalendar.title': 'Birthday calendar',
+            'dateCalendar.summary.one': '{count} flight across {dates} birthdays. Pick a date to search it.',
+            'dateCalendar.summary.other': '{count} flights across {dates} birthdays. Pick a date to search it.',
+
+            'heatmap.cell.one': '{date}: {count} flight',
+            'heatmap.cell.other': '{date}: {count} flights',
+            'heatmap.less': 'Less',
+            'heatmap.more': 'More',
+
+            'table.flight': 'Flight',
+            'table.airline': 'Airline',
+            'table.departure': 'From',
+            'table.arrival': 'To',
+            'table.code': 'Code',
+            'table.filterPlaceholder': 'Filter by airline or city',
+            'table.groupByAirline': 'Group by airline',
+            'table.airlineFlights.one': '{count} flight',
+            'table.airlineFlights.other': '{count} flights',
+            'table.clearFilters': 'Clear filters',
+            'table.countryChips': 'From',
+            'table.airlineChips': 'Airline',
+            'table.unknownCountry': 'Unknown',
+            'table.allianceChips': 'Alliance',
+            'table.noAlliance': 'None',
+            'table.showing': 'Showing {shown} of {total} flights',
+            'table.noMatch': 'No flights match the filters',
+
+            'export.csv': 'Download as CSV',
+            'export.json': 'Download as JSON',
+            'export.ics': 'Add to calendar (.ics)',
+            'export.calendarName': 'Birthday flights',
+            'export.eventSummary': 'Birthday flight {flight} ({from} → {to})',
+
+            'share.title': 'Birthday flight',
+            'share.download': 'Save image',
+            'share.share': 'Share',
+            'share.text': 'My birthday flight for {date} is {flight} ({from} → {to})',
+
+            'notice.title': 'About the data',
+            'notice.body': 'The data was collected in {date}. Some flights may no longer operate or may now fly a different route.',
+            'notice.bodyUndated': 'The collection date of this data is unknown. Some flights may no longer operate or may now fly a different route.',
+
+            'cache.clear': 'Clear cached data',
+            'cache.cleared': 'Cached data cleared',
+
+            'modal.close': 'Close',
+            'modal.departure': 'Departure',
+            'modal.arrival': 'Arrival',
+            'modal.loading': 'Loading...',
+            'modal.mapLoading': 'Loading map...',
+            'modal.mapNoData': 'No location data',
+            'modal.noSummary': 'No description available',
+            'modal.wikipediaSource': 'Read on Wikipedia ({lang})',
+            'airport.name': 'Airport',
+            'airport.icao': 'ICAO',
+            'airport.elevation': 'Elevation',
+            'airport.elevationValue': '{feet} ft ({meters} m)',
+            'airport.timezone': 'Time zone',
+            'airport.country': 'Country',
+
+            'route.distance': 'Distance',
+            'route.bearing': 'Bearing',
+            'route.blockTime': 'Est. flight time',
+            'route.timeDifference': 'Time difference',
+            'route.distanceValue': '{km} km ({mi} mi)',
+            'route.bearingValue': '{degrees}° ({compass})',
+            'route.blockTimeValue': '~{duration}',
+            'route.timeDifferenceValue': '{offset} ({from} → {to})',
+            'route.noTimeDifference': 'None',
+            'route.unknown': 'Unknown',
+
+            'plane.play': 'Play',
+            'plane.pause': 'Pause',
+            'plane.replay': 'Replay',
+
+            'compass.N': 'N',
+            'compass.NE': 'NE',
+            'compass.E': 'E',
+            'compass.SE': 'SE',
+            'compass.S': 'S',
+            'compass.SW': 'SW',
+            'compass.W': 'W',
+            'compass.NW': 'NW',
+
+            'duration.hours': '{hours}h',
+            'duration.minutes': '{minutes}m',
+            'duration.hoursMinutes': '{hours}h {minutes}m',
+
+            'overview.airportFlights.one': '{count} flight',
+            'overview.airportFlights.other': '{count} flights',
+            'overview.skipped.one': '{count} flight without location data is not shown on the map',
+            'overview.skipped.other': '{count} flights without location data are not shown on the map'
+        }
+    },
+
+    /**
+     * Pick the language (saved preference, then browser language) and translate the page
+     */
+    init() {
+        this.language = this.getSavedLanguage() || this.detectLanguage();
+        this.applyToDocument();
+    },
+
+    /**
+     * Read the persisted language preference
+     * @returns {string|null}
+     */
+    getSavedLanguage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return this.messages[saved] ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Match the browser languages against the catalogue
+     * @returns {string}
+     */
+    detectLanguage() {
+        const preferred = navigator.languages || [navigator.language];
+        const match = preferred
+            .map(lang => String(lang).toLowerCase().split('-')[0])
+            .find(lang => this.messages[lang]);
+        return match || this.defaultLanguage;
+    },
+
+    /**
+     * Switch language, persist it and notify listeners with an "i18n:change" event
+     * @param {string} language - Language code (e.g., "ja", "en")
+     */
+    setLanguage(language) {
+        if (!this.messages[language] || language === this.language) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('Failed to save language preference:', error);
+        }
+
+        this.applyToDocument();
+        document.dispatchEvent(new CustomEvent('i18n:change', {
+            detail: { language }
+        }));
+    },
+
+    /**
+     * Translate a key
+     * @param {string} key - Catalogue key
+     * @param {Object} params - Values for placeholders; a numeric "count" selects the plural form
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const template = this.lookup(this.language, key, params.count)
+            ?? this.lookup(this.defaultLanguage, key, params.count)
+            ?? key;
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        ));
+    },
+
+    /**
+     * Find a template, preferring the plural form for the count
+     * @param {string} language - Language code
+     * @param {string} key - Catalogue key
+     * @param {number} count - Optional count
+     * @returns {string|undefined}
+     */
+    lookup(language, key, count) {
+        const catalogue = this.messages[language] || {};
+
+        if (typeof count === 'number') {
+            const category = new Intl.PluralRules(language).select(count);
+            const plural = catalogue[`${key}.${category}`] ?? catalogue[`${key}.other`];
+            if (plural !== undefined) return plural;
+        }
+
+        return catalogue[key];
+    },
+
+    /**
+     * Translate elements marked with data-i18n attributes
+     * data-i18n → textContent, data-i18n-placeholder, data-i18n-aria-label, data-i18n-title, data-i18n-content
+     * @param {ParentNode} root - Element to translate
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-content]').forEach(el => {
+            el.setAttribute('content', this.t(el.dataset.i18nContent));
+        });
+    },
+
+    /**
+     * Translate the whole page and update <html lang> and the title
+     */
+    applyToDocument() {
+        document.documentElement.lang = this.language;
+        document.title = this.t('meta.title');
+        this.apply(document);
+    },
+
+    /**
+     * Format a month/day pair (e.g., "12月31日", "December 31")
+     * A leap year is used so February 29 formats correctly
+     * @param {number} month - 1-12
+     * @param {number} day - 1-31
+     * @returns {string}
+     */
+    formatMonthDay(month, day) {
+        return new Intl.DateTimeFormat(this.language, {
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        }).format(Date.UTC(2000, month - 1, day));
+    },
+
+    /**
+     * Format a collection date from the dataset manifest (e.g., "2022年7月", "July 2022")
+     * @param {string} value - "YYYY-MM" or "YYYY-MM-DD"
+     * @returns {string|null} - null if the value is not a date
+     */
+    formatCollectionDate(value) {
+        const match = String(value).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+        if (!match) return null;
+
+        const [, year, month, day] = match.map(Number);
+        return new Intl.DateTimeFormat(this.language, {
+            year: 'numeric',
+            month: 'long',
+            day: day ? 'numeric' : undefined,
+            timeZone: 'UTC'
+        }).format(Date.UTC(year, month - 1, day || 1));
+    },
+
+    /**
+     * Format a number with locale grouping
+     * @param {number} value - Number to format
+     * @param {number} maximumFractionDigits - Decimal places to keep
+     * @returns {string}
+     */
+    formatNumber(value, maximumFractionDigits = 0) {
+        return new Intl.NumberFormat(this.language, { maximumFractionDigits }).format(value);
+    },
+
+    /**
+     * Format a duration (e.g., "11時間30分", "11h 30m")
+     * @param {number} totalMinutes - Duration in minutes (sign is ignored)
+     * @returns {string}
+     */
+    formatDuration(totalMinutes) {
+        const hours = Math.floor(Math.abs(totalMinutes) / 60);
+        const minutes = Math.abs(totalMinutes) % 60;
+
+        if (minutes === 0) return this.t('duration.hours', { hours });
+        if (hours === 0) return this.t('duration.minutes', { minutes });
+        return this.t('duration.hoursMinutes', { hours, minutes });
+    },
+
+    /**
+     * Localized month name (e.g., "12月", "December", "Dec")
+     * @param {number} month - 1-12
+     * @param {string} width - Intl month style ("long" or "short")
+     * @returns {string}
+     */
+    formatMonthName(month, width = 'long') {
+        return new Intl.DateTimeFormat(this.language, {
+            month: width,
+            timeZone: 'UTC'
+        }).format(Date.UTC(2000, month - 1, 1));
+    }
+};
+
+// Export for use in other modules
+window.I18n = I18n;
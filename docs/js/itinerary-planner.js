@@ -0,0 +1,429 @@
+// Itinerary planner module
+// Chains flights from the days around a birthday into connected trips, where each
+// leg departs from the airport the previous leg arrived at on a later day.
+// Trips are ranked by total great circle distance and drawn on one map
+
+const ItineraryPlanner = {
+    // Days searched before and after the birthday (a "birthday week")
+    rangeDays: 3,
+
+    // Longest trip considered, and a cap on the paths explored so hub airports
+    // cannot stall the search; only the best maxShown trips are kept while searching
+    maxLegs: 4,
+    maxExplored: 50000,
+    maxShown: 10,
+
+    // Leg colors along the trip
+    palette: ['#e11d48', '#2563eb', '#059669', '#d97706'],
+
+    // FlightMap instance, created when the first trip is drawn
+    flightMap: null,
+
+    // Birthday being planned; a newer plan() call replaces it
+    birthday: null,
+
+    // Best itineraries in the selected order: [{ legs, distanceKm }]
+    itineraries: [],
+    selectedIndex: 0,
+
+    // Trips found in total, and whether the search stopped at maxExplored
+    found: 0,
+    capped: false,
+
+    // Legs that could be chained, and flights skipped for lack of coordinates
+    legs: [],
+    legCount: 0,
+    skipped: 0,
+
+    // "longest" or "shortest" first
+    order: 'longest',
+
+    // Status of the last plan: null (not planned), "loading", "done" or "error"
+    state: null,
+
+    /**
+     * Bind the sort selector
+     */
+    init() {
+        document.getElementById('itinerary-sort').addEventListener('change', (e) => {
+            this.order = e.target.value;
+            if (this.state !== 'done') return;
+
+            // The kept trips depend on the order, so search again
+            this.search();
+            this.selectedIndex = 0;
+            this.render();
+        });
+    },
+
+    /**
+     * Look up the flights around a birthday and list the connected trips
+     * @param {string} birthday - Birthday key
+     */
+    async plan(birthday) {
+        this.birthday = birthday;
+        this.itineraries = [];
+        this.legs = [];
+        this.selectedIndex = 0;
+        this.state = 'loading';
+
+        const section = document.getElementById('itinerary-section');
+        section.hidden = false;
+        this.render();
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        try {
+            const dates = this.getDates(birthday);
+            const results = await Promise.all(dates.map(date => FlightData.fetchFlights(date.key)));
+
+            // Another birthday was searched while waiting
+            if (this.birthday !== birthday) return;
+
+            const legs = [];
+            this.skipped = 0;
+            dates.forEach((date, i) => {
+                results[i].forEach(flight => {
+                    const leg = this.createLeg(flight, date);
+                    if (leg) {
+                        legs.push(leg);
+                    } else {
+                        this.skipped++;
+                    }
+                });
+            });
+
+            this.legs = legs;
+            this.legCount = legs.length;
+            this.search();
+            this.state = 'done';
+        } catch (error) {
+            if (this.birthday !== birthday) return;
+            console.error('Itinerary search error:', error);
+            this.state = 'error';
+        }
+
+        this.render();
+    },
+
+    /**
+     * The birthday and the days around it
+     * @param {string} birthday - Birthday key
+     * @returns {Array<{key: string, offset: number}>} - offset is days from the birthday
+     */
+    getDates(birthday) {
+        const dates = [];
+        for (let offset = -this.rangeDays; offset <= this.rangeDays; offset++) {
+            dates.push({ key: BirthdayKey.addDays(birthday, offset), offset });
+        }
+        return dates;
+    },
+
+    /**
+     * Attach date, airports and distance to a flight
+     * Only airports with known coordinates are used, so planning never sends Nominatim requests
+     * @param {Object} flight - Flight data
+     * @param {{key: string, offset: number}} date - Date the flight belongs to
+     * @returns {Object|null} - null if either airport has no coordinates
+     */
+    createLeg(flight, date) {
+        const departure = this.getAirport(flight.departureCode, flight.departurePlace);
+        const arrival = this.getAirport(flight.arrivalCode, flight.arrivalPlace);
+        if (!departure || !arrival) return null;
+
+        return {
+            flight,
+            date,
+            departure,
+            arrival,
+            distanceKm: FlightMap.distance([departure.lat, departure.lng], [arrival.lat, arrival.lng])
+        };
+    },
+
+    /**
+     * Airport with coordinates, code and display name
+     * @param {string} code - Airport code
+     * @param {string} place - Place name from flight data
+     * @returns {Object|null}
+     */
+    getAirport(code, place) {
+        const airport = RoutesOverview.getCoordinates(code);
+        if (!airport) return null;
+
+        return { ...airport, code: code.toUpperCase().trim(), place };
+    },
+
+    /**
+     * Find the best itineraries among the planned legs in the selected order
+     */
+    search() {
+        const { itineraries, found, capped } = this.findItineraries(this.legs);
+        this.itineraries = itineraries;
+        this.found = found;
+        this.capped = capped;
+    },
+
+    /**
+     * Find chains of two or more legs where each leg leaves from the previous
+     * leg's arrival airport on a later day; every chain includes a birthday flight
+     * @param {Array} legs - Legs from createLeg
+     * @returns {{itineraries: Array<{legs: Array, distanceKm: number}>, found: number, capped: boolean}}
+     *   - the best maxShown trips in order, how many trips were found, and whether
+     *   the search stopped at maxExplored before trying every path
+     */
+    findItineraries(legs) {
+        const byDeparture = new Map();
+        legs.forEach(leg => {
+            if (!byDeparture.has(leg.departure.code)) byDeparture.set(leg.departure.code, []);
+            byDeparture.get(leg.departure.code).push(leg);
+        });
+
+        const best = [];
+        let found = 0;
+        let explored = 0;
+        let capped = false;
+
+        const extend = path => {
+            if (explored >= this.maxExplored) {
+                capped = true;
+                return;
+            }
+            explored++;
+
+            const last = path[path.length - 1];
+            const hasBirthday = path.some(leg => leg.date.offset === 0);
+            if (path.length >= 2 && hasBirthday) {
+                found++;
+                this.keepBest(best, {
+                    legs: path,
+                    distanceKm: path.reduce((sum, leg) => sum + leg.distanceKm, 0)
+                });
+            }
+            if (path.length >= this.maxLegs) return;
+
+            // Offsets only grow along a path, so one that has passed the birthday
+            // without a birthday flight can never become a trip
+            (byDeparture.get(last.arrival.code) || [])
+                .filter(next => next.date.offset > last.date.offset && (hasBirthday || next.date.offset <= 0))
+                .forEach(next => extend([...path, next]));
+        };
+
+        legs.filter(leg => leg.date.offset <= 0).forEach(leg => extend([leg]));
+        return { itineraries: best, found, capped };
+    },
+
+    /**
+     * Insert an itinerary into a sorted list holding at most maxShown entries
+     * @param {Array} best - Itineraries in the selected order
+     * @param {Object} itinerary - { legs, distanceKm }
+     */
+    keepBest(best, itinerary) {
+        const index = best.findIndex(other => this.compare(itinerary, other) < 0);
+        if (index === -1) {
+            if (best.length < this.maxShown) best.push(itinerary);
+            return;
+        }
+
+        best.splice(index, 0, itinerary);
+        if (best.length > this.maxShown) best.pop();
+    },
+
+    /**
+     * Order of two itineraries by total distance in the selected order, fewer legs first on ties
+     * @param {Object} a - { legs, distanceKm }
+     * @param {Object} b - { legs, distanceKm }
+     * @returns {number}
+     */
+    compare(a, b) {
+        const sign = this.order === 'shortest' ? 1 : -1;
+        return sign * (a.distanceKm - b.distanceKm) || a.legs.length - b.legs.length;
+    },
+
+    /**
+     * Re-render text of the planner in the active language
+     */
+    applyLanguage() {
+        if (this.state) this.render();
+    },
+
+    /**
+     * Render status, the ranked list and the selected trip
+     */
+    render() {
+        const status = document.getElementById('itinerary-status');
+        const list = document.getElementById('itinerary-list');
+        const layout = document.getElementById('itinerary-layout');
+
+        const { month, day } = BirthdayKey.parse(this.birthday);
+        const first = BirthdayKey.parse(BirthdayKey.addDays(this.birthday, -this.rangeDays));
+        const last = BirthdayKey.parse(BirthdayKey.addDays(this.birthday, this.rangeDays));
+        document.getElementById('itinerary-range').textContent = I18n.t('itinerary.range', {
+            date: formatBirthday(month, day),
+            from: formatBirthday(first.month, first.day),
+            to: formatBirthday(last.month, last.day)
+        });
+
+        list.innerHTML = '';
+        layout.hidden = this.state !== 'done' || this.itineraries.length === 0;
+
+        if (this.state === 'loading') {
+            status.innerHTML = `<span class="loading-text">${escapeHtml(I18n.t('itinerary.loading'))}</span>`;
+            return;
+        }
+        if (this.state === 'error') {
+            status.textContent = I18n.t('result.error');
+            return;
+        }
+
+        const skipped = this.skipped > 0 ? ` ${I18n.t('itinerary.skipped', { count: this.skipped })}` : '';
+        let found = I18n.t('itinerary.found', { count: this.found });
+        if (this.itineraries.length === 0) {
+            found = I18n.t('itinerary.none', { count: this.legCount });
+        } else if (this.capped) {
+            // Not every path was tried, so neither the count nor the ranking is complete
+            found = I18n.t('itinerary.foundCapped', { count: this.found, shown: this.itineraries.length });
+        }
+        status.textContent = found + skipped;
+
+        if (layout.hidden) {
+            this.clear();
+            return;
+        }
+
+        this.itineraries.slice(0, this.maxShown).forEach((itinerary, index) => {
+            list.appendChild(this.createItem(itinerary, index));
+        });
+
+        this.draw(this.itineraries[this.selectedIndex]);
+    },
+
+    /**
+     * List item for one itinerary
+     * @param {Object} itinerary - { legs, distanceKm }
+     * @param {number} index - Rank (0-based)
+     * @returns {HTMLLIElement}
+     */
+    createItem(itinerary, index) {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'itinerary-option';
+        button.setAttribute('aria-pressed', index === this.selectedIndex);
+
+        const legs = itinerary.legs.map((leg, i) => {
+            const date = BirthdayKey.parse(leg.date.key);
+            const from = AirportSearch.getCityName(leg.departure.code, leg.departure.place);
+            const to = AirportSearch.getCityName(leg.arrival.code, leg.arrival.place);
+            return `
+                <li class="itinerary-leg${leg.date.offset === 0 ? ' birthday' : ''}">
+                    <span class="itinerary-leg-swatch" style="background: ${this.palette[i % this.palette.length]}"></span>
+                    <span class="itinerary-leg-date">${escapeHtml(formatBirthday(date.month, date.day))}</span>
+                    <span class="itinerary-leg-flight">${escapeHtml(leg.flight.codeName)}</span>
+                    <span>${escapeHtml(from)} → ${escapeHtml(to)}</span>
+                </li>
+            `;
+        }).join('');
+
+        button.innerHTML = `
+            <span class="itinerary-header">
+                <span class="itinerary-rank">${index + 1}</span>
+                <span class="itinerary-distance">${escapeHtml(this.formatDistance(itinerary.distanceKm))}</span>
+                <span class="itinerary-legs-count">${escapeHtml(I18n.t('itinerary.legs', { count: itinerary.legs.length }))}</span>
+            </span>
+            <ol class="itinerary-legs">${legs}</ol>
+        `;
+
+        button.addEventListener('click', () => {
+            this.selectedIndex = index;
+            document.querySelectorAll('#itinerary-list .itinerary-option').forEach((option, i) => {
+                option.setAttribute('aria-pressed', i === index);
+            });
+            this.draw(itinerary);
+        });
+
+        item.appendChild(button);
+        return item;
+    },
+
+    /**
+     * Total distance in km and miles
+     * @param {number} km - Distance in km
+     * @returns {string}
+     */
+    formatDistance(km) {
+        return I18n.t('route.distanceValue', {
+            km: I18n.formatNumber(km),
+            mi: I18n.formatNumber(km / RouteInfo.kmPerMile)
+        });
+    },
+
+    /**
+     * Draw every leg of a trip on the planner map
+     * @param {Object} itinerary - { legs, distanceKm }
+     */
+    draw(itinerary) {
+        if (!this.flightMap) {
+            this.flightMap = new FlightMap('itinerary-map', { maxZoom: 8, scrollWheelZoom: false });
+        }
+        const flightMap = this.flightMap.init();
+        flightMap.clear();
+
+        itinerary.legs.forEach((leg, i) => {
+            flightMap.addRoute(`leg-${i}`, leg.departure, leg.arrival, {
+                style: {
+                    color: this.palette[i % this.palette.length],
+                    weight: 3,
+                    opacity: 0.85,
+                    dashArray: null
+                },
+                markers: false,
+                numPoints: 64,
+                tooltip: `${i + 1}. ${escapeHtml(leg.flight.codeName)} ${escapeHtml(leg.departure.code)} → ${escapeHtml(leg.arrival.code)}`
+            });
+        });
+
+        // Start and end markers, numbered circles at the stops in between
+        const stops = [itinerary.legs[0].departure, ...itinerary.legs.map(leg => leg.arrival)];
+        stops.forEach((stop, i) => {
+            const airport = { ...stop, city: AirportSearch.getCityName(stop.code, stop.place) };
+
+            if (i === 0 || i === stops.length - 1) {
+                flightMap.addMarker(stop.lat, stop.lng, i === 0 ? 'departure' : 'arrival', airport);
+                return;
+            }
+
+            const marker = flightMap.addLayer(L.circleMarker([stop.lat, stop.lng], {
+                radius: 9,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#be123c',
+                fillOpacity: 0.9
+            }));
+            marker.bindPopup(FlightMap.createAirportPopup(airport));
+            marker.bindTooltip(String(i), { permanent: true, direction: 'center', className: 'overview-count' });
+        });
+
+        flightMap.fitRoutes(undefined, { padding: [30, 30], maxZoom: 5 });
+    },
+
+    /**
+     * Remove the drawn trip
+     */
+    clear() {
+        if (this.flightMap) this.flightMap.clear();
+    },
+
+    /**
+     * Hide the planner (e.g., when results are cleared)
+     */
+    hide() {
+        this.birthday = null;
+        this.state = null;
+        this.itineraries = [];
+        this.legs = [];
+        document.getElementById('itinerary-section').hidden = true;
+        this.clear();
+    }
+};
+
+// Export for use in other modules
+window.ItineraryPlanner = ItineraryPlanner;
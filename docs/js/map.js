@@ -1,48 +1,80 @@
 // Map module using Leaflet.js for displaying flight routes
+// Each FlightMap instance owns one Leaflet map and tracks every layer it adds,
+// so routes can be added, removed and cleared without recreating the map
 
-const FlightMap = {
-    map: null,
-    markers: [],
-    polyline: null,
+class FlightMap {
+    // Mean Earth radius used for distances
+    static earthRadiusKm = 6371;
+
+    // Default style for route lines
+    static routeStyle = {
+        color: '#e11d48',
+        weight: 3,
+        opacity: 0.8,
+        dashArray: '10, 5'
+    };
 
     /**
-     * Initialize the Leaflet map
      * @param {string} containerId - ID of the map container element
+     * @param {Object} options - Leaflet map options (merged over the defaults)
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.options = options;
+        this.map = null;
+
+        // Named routes: id → {layers, style, departure, arrival}
+        this.routes = new Map();
+
+        // Layers not belonging to a route (markers, clusters)
+        this.layers = [];
+
+        this.highlightedId = null;
+    }
+
+    /**
+     * Create the Leaflet map on first call; later calls only re-measure the container
+     * @returns {FlightMap}
      */
-    init(containerId) {
-        // Clean up existing map if any
+    init() {
         if (this.map) {
-            this.map.remove();
-            this.map = null;
+            this.map.invalidateSize();
+            return this;
         }
 
-        // Create new map
-        this.map = L.map(containerId, {
+        this.map = L.map(this.containerId, {
             center: [35, 135],
             zoom: 2,
             minZoom: 1,
             maxZoom: 10,
-            worldCopyJump: true
+            worldCopyJump: true,
+            ...this.options
         });
 
         // Add OpenStreetMap tiles
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            maxZoom: 19
+            maxZoom: 19,
+            // CORS tiles can be cached by the service worker without opaque-response padding
+            crossOrigin: true
         }).addTo(this.map);
 
-        // Reset markers and polyline arrays
-        this.markers = [];
-        this.polyline = null;
-    },
+        return this;
+    }
+
+    /**
+     * Re-measure the container after it was shown or resized
+     */
+    invalidateSize() {
+        if (this.map) this.map.invalidateSize();
+    }
 
     /**
      * Create a custom icon for airport markers
      * @param {string} type - 'departure' or 'arrival'
      * @returns {L.DivIcon}
      */
-    createIcon(type) {
-        const color = type === 'departure' ? '#059669' : '#dc2626';
+    static createIcon(type) {
         const icon = type === 'departure' ? 'flight_takeoff' : 'flight_land';
 
         return L.divIcon({
@@ -54,23 +86,100 @@ const FlightMap = {
             iconAnchor: [18, 18],
             popupAnchor: [0, -18]
         });
-    },
+    }
+
+    /**
+     * Add a layer to the map and track it for clear()
+     * @param {L.Layer} layer - Any Leaflet layer
+     * @returns {L.Layer}
+     */
+    addLayer(layer) {
+        layer.addTo(this.map);
+        this.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Popup content for an airport: city and code, then the airport name,
+     * ICAO code and UTC offset when known
+     * @param {Object} airport - {code, city, name?, icao?, tz?}
+     * @returns {string} - HTML
+     */
+    static createAirportPopup(airport) {
+        const codes = [airport.code, airport.icao].filter(Boolean).join(' / ');
+        const offset = RouteInfo.getUtcOffsetMinutes(airport.tz);
+        const details = [codes, offset !== null ? RouteInfo.formatUtcOffset(offset) : '']
+            .filter(Boolean)
+            .join(' · ');
+
+        return `
+            <strong>${escapeHtml(airport.city || airport.code)}</strong>
+            ${airport.name ? `<br><span class="airport-popup-name">${escapeHtml(airport.name)}</span>` : ''}
+            ${details ? `<br><span class="airport-popup-codes">${escapeHtml(details)}</span>` : ''}
+        `;
+    }
 
     /**
      * Add a marker to the map
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
      * @param {string} type - 'departure' or 'arrival'
-     * @param {string} label - Popup label
+     * @param {string|Object} label - Popup label (HTML), or airport details for createAirportPopup
+     * @returns {L.Marker}
      */
     addMarker(lat, lng, type, label) {
         const marker = L.marker([lat, lng], {
-            icon: this.createIcon(type)
-        }).addTo(this.map);
+            icon: FlightMap.createIcon(type)
+        });
+
+        marker.bindPopup(typeof label === 'string' ? `<strong>${label}</strong>` : FlightMap.createAirportPopup(label));
+        return this.addLayer(marker);
+    }
+
+    /**
+     * Central angle between two points (haversine formula)
+     * @param {Array} start - [lat, lng] of start point
+     * @param {Array} end - [lat, lng] of end point
+     * @returns {number} - Angle in radians
+     */
+    static centralAngle(start, end) {
+        const lat1 = start[0] * Math.PI / 180;
+        const lng1 = start[1] * Math.PI / 180;
+        const lat2 = end[0] * Math.PI / 180;
+        const lng2 = end[1] * Math.PI / 180;
+
+        return 2 * Math.asin(Math.sqrt(
+            Math.pow(Math.sin((lat1 - lat2) / 2), 2) +
+            Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin((lng1 - lng2) / 2), 2)
+        ));
+    }
+
+    /**
+     * Great circle distance between two points
+     * @param {Array} start - [lat, lng] of start point
+     * @param {Array} end - [lat, lng] of end point
+     * @returns {number} - Distance in km
+     */
+    static distance(start, end) {
+        return FlightMap.centralAngle(start, end) * FlightMap.earthRadiusKm;
+    }
+
+    /**
+     * Initial bearing (forward azimuth) from start towards end
+     * @param {Array} start - [lat, lng] of start point
+     * @param {Array} end - [lat, lng] of end point
+     * @returns {number} - Degrees clockwise from north (0-360)
+     */
+    static initialBearing(start, end) {
+        const lat1 = start[0] * Math.PI / 180;
+        const lat2 = end[0] * Math.PI / 180;
+        const dLng = (end[1] - start[1]) * Math.PI / 180;
+
+        const y = Math.sin(dLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
 
-        marker.bindPopup(`<strong>${label}</strong>`);
-        this.markers.push(marker);
-    },
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
 
     /**
      * Generate points for a great circle arc between two points
@@ -79,22 +188,19 @@ const FlightMap = {
      * @param {number} numPoints - Number of points in the arc
      * @returns {Array} - Array of [lat, lng] points
      */
-    generateArc(start, end, numPoints = 100) {
+    static generateArc(start, end, numPoints = 100) {
         const points = [];
         const lat1 = start[0] * Math.PI / 180;
         const lng1 = start[1] * Math.PI / 180;
         const lat2 = end[0] * Math.PI / 180;
         const lng2 = end[1] * Math.PI / 180;
 
+        // Great circle interpolation
+        const d = FlightMap.centralAngle(start, end);
+
         for (let i = 0; i <= numPoints; i++) {
             const f = i / numPoints;
 
-            // Great circle interpolation
-            const d = 2 * Math.asin(Math.sqrt(
-                Math.pow(Math.sin((lat1 - lat2) / 2), 2) +
-                Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin((lng1 - lng2) / 2), 2)
-            ));
-
             if (d === 0) {
                 points.push([start[0], start[1]]);
                 continue;
@@ -114,14 +220,14 @@ const FlightMap = {
         }
 
         return points;
-    },
+    }
 
     /**
      * Handle antimeridian crossing for polyline
      * @param {Array} points - Array of [lat, lng] points
      * @returns {Array} - Array of polyline segments
      */
-    handleAntimeridian(points) {
+    static handleAntimeridian(points) {
         const segments = [];
         let currentSegment = [];
 
@@ -146,82 +252,170 @@ const FlightMap = {
         }
 
         return segments;
-    },
+    }
 
     /**
-     * Draw flight path between two airports
+     * Add a named route; an existing route with the same id is replaced
+     * @param {string} id - Route id (e.g., flight code)
      * @param {Object} departure - {lat, lng, code, city}
      * @param {Object} arrival - {lat, lng, code, city}
+     * @param {Object} options - Route options
+     * @param {Object} options.style - Polyline style (merged over routeStyle)
+     * @param {boolean} options.markers - Add departure/arrival markers (default true)
+     * @param {string} options.tooltip - Tooltip shown on the line
+     * @param {Function} options.onClick - Called when the line is clicked
+     * @param {number} options.numPoints - Arc resolution
+     * @returns {Object} - The route entry
      */
-    drawFlightPath(departure, arrival) {
-        // Add markers
-        this.addMarker(
-            departure.lat, departure.lng,
-            'departure',
-            `${departure.city} (${departure.code})`
-        );
-        this.addMarker(
-            arrival.lat, arrival.lng,
-            'arrival',
-            `${arrival.city} (${arrival.code})`
-        );
+    addRoute(id, departure, arrival, options = {}) {
+        this.removeRoute(id);
+
+        const style = { ...FlightMap.routeStyle, ...options.style };
+        const route = { id, departure, arrival, style, layers: [], lines: [] };
+
+        if (options.markers !== false) {
+            route.layers.push(this.createRouteMarker(departure, 'departure'));
+            route.layers.push(this.createRouteMarker(arrival, 'arrival'));
+        }
 
-        // Generate arc points
-        const arcPoints = this.generateArc(
+        // Generate arc points and split at the antimeridian
+        route.points = FlightMap.generateArc(
             [departure.lat, departure.lng],
-            [arrival.lat, arrival.lng]
+            [arrival.lat, arrival.lng],
+            options.numPoints
         );
 
-        // Handle antimeridian crossing
-        const segments = this.handleAntimeridian(arcPoints);
-
-        // Draw each segment
-        segments.forEach(segment => {
-            const polyline = L.polyline(segment, {
-                color: '#e11d48',
-                weight: 3,
-                opacity: 0.8,
-                dashArray: '10, 5'
-            }).addTo(this.map);
+        FlightMap.handleAntimeridian(route.points).forEach(segment => {
+            const polyline = L.polyline(segment, style).addTo(this.map);
+
+            if (options.tooltip) {
+                polyline.bindTooltip(options.tooltip, { sticky: true });
+            }
+            polyline.on('mouseover', () => this.highlightRoute(id));
+            polyline.on('mouseout', () => this.highlightRoute(null));
+            if (options.onClick) {
+                polyline.on('click', () => options.onClick(id));
+            }
+
+            route.lines.push(polyline);
+            route.layers.push(polyline);
         });
 
-        // Fit bounds to show both points
-        const bounds = L.latLngBounds([
-            [departure.lat, departure.lng],
-            [arrival.lat, arrival.lng]
-        ]);
+        this.routes.set(id, route);
+        return route;
+    }
+
+    /**
+     * Create a departure/arrival marker for a route
+     * @param {Object} airport - {lat, lng, code, city, name?, icao?, tz?}
+     * @param {string} type - 'departure' or 'arrival'
+     * @returns {L.Marker}
+     */
+    createRouteMarker(airport, type) {
+        const marker = L.marker([airport.lat, airport.lng], {
+            icon: FlightMap.createIcon(type)
+        }).addTo(this.map);
+
+        marker.bindPopup(FlightMap.createAirportPopup(airport));
+        return marker;
+    }
+
+    /**
+     * Remove a named route and all its layers
+     * @param {string} id - Route id
+     */
+    removeRoute(id) {
+        const route = this.routes.get(id);
+        if (!route) return;
 
-        this.map.fitBounds(bounds, {
-            padding: [50, 50],
-            maxZoom: 6
+        route.layers.forEach(layer => layer.remove());
+        this.routes.delete(id);
+
+        if (this.highlightedId === id) {
+            this.highlightedId = null;
+        }
+    }
+
+    /**
+     * Emphasize one route and dim the others; null restores all
+     * @param {string|null} id - Route id
+     */
+    highlightRoute(id) {
+        this.highlightedId = id;
+
+        this.routes.forEach((route, routeId) => {
+            const style = id === null
+                ? route.style
+                : routeId === id
+                    ? { ...route.style, weight: route.style.weight + 2, opacity: 1 }
+                    : { ...route.style, opacity: 0.2 };
+
+            route.lines.forEach(line => {
+                line.setStyle(style);
+                if (routeId === id) line.bringToFront();
+            });
         });
-    },
+    }
 
     /**
-     * Clear all markers and polylines from the map
+     * Fit the view to every route (or the given ones)
+     * @param {Array<string>} ids - Route ids; defaults to all
+     * @param {Object} options - Leaflet fitBounds options
      */
-    clear() {
-        this.markers.forEach(marker => marker.remove());
-        this.markers = [];
+    fitRoutes(ids = [...this.routes.keys()], options = { padding: [50, 50], maxZoom: 6 }) {
+        const bounds = L.latLngBounds([]);
+
+        ids.forEach(id => {
+            const route = this.routes.get(id);
+            if (!route) return;
+            bounds.extend([route.departure.lat, route.departure.lng]);
+            bounds.extend([route.arrival.lat, route.arrival.lng]);
+        });
 
-        if (this.polyline) {
-            this.polyline.remove();
-            this.polyline = null;
+        if (bounds.isValid()) {
+            this.map.fitBounds(bounds, options);
         }
-    },
+    }
+
+    /**
+     * Draw flight path between two airports, replacing anything drawn before
+     * @param {Object} departure - {lat, lng, code, city}
+     * @param {Object} arrival - {lat, lng, code, city}
+     * @returns {Object} - The route entry
+     */
+    drawFlightPath(departure, arrival) {
+        this.clear();
+
+        const route = this.addRoute('flight', departure, arrival);
+        this.fitRoutes();
+        return route;
+    }
+
+    /**
+     * Clear all routes, markers and other tracked layers from the map
+     */
+    clear() {
+        this.routes.forEach(route => route.layers.forEach(layer => layer.remove()));
+        this.routes.clear();
+
+        this.layers.forEach(layer => layer.remove());
+        this.layers = [];
+
+        this.highlightedId = null;
+    }
 
     /**
      * Destroy the map instance
      */
     destroy() {
+        this.clear();
+
         if (this.map) {
             this.map.remove();
             this.map = null;
         }
-        this.markers = [];
-        this.polyline = null;
     }
-};
+}
 
 // Export for use in other modules
 window.FlightMap = FlightMap;
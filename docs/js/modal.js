@@ -4,6 +4,32 @@ const FlightModal = {
     modal: null,
     isLoading: false,
 
+    // FlightMap instance, created once and reused for every flight
+    flightMap: null,
+
+    // PlaneAnimation flying along the drawn route
+    planeAnimation: null,
+
+    // Flight currently shown; used to drop results that arrive after close
+    activeFlight: null,
+
+    // Cancels the airport lookups started for the active flight
+    lookupController: null,
+
+    // City card data, kept to re-render on language change
+    cityInfo: {},
+
+    // Route figures from RouteInfo.calculate, null if coordinates are missing
+    routeInfo: null,
+
+    // Resolved airports of the active flight ({departure, arrival}), used by the share card
+    airports: null,
+
+    // Share card PNG of the active flight, drawn ahead so a Share click can open
+    // the share sheet while the click still counts as user activation
+    shareFile: null,
+    shareCardDrawing: null,
+
     /**
      * Initialize the modal
      */
@@ -36,6 +62,60 @@ const FlightModal = {
                 this.close();
             }
         });
+
+        // Share card: save as PNG, or open the share sheet where files can be shared
+        const shareBtn = this.modal.querySelector('#share-card-share');
+        this.modal.querySelector('#share-card-save').addEventListener('click', () => this.useShareCard('download'));
+        shareBtn.addEventListener('click', () => this.useShareCard('share'));
+        shareBtn.hidden = !ShareCard.canShare();
+    },
+
+    /**
+     * Draw the share card for the active flight; the buttons are enabled once the PNG is ready
+     * @param {Object} flight - Flight data
+     */
+    prepareShareCard(flight) {
+        this.shareFile = null;
+        this.setShareButtonsDisabled(true);
+
+        const { departure, arrival } = this.airports || {};
+        const drawing = ShareCard.render(flight, departure, arrival)
+            .then(canvas => ShareCard.toFile(canvas, flight))
+            .then(file => {
+                // Modal was closed, reopened or redrawn (e.g., new language) while drawing
+                if (this.shareCardDrawing !== drawing) return;
+                this.shareFile = file;
+                this.setShareButtonsDisabled(false);
+            })
+            .catch(error => console.error('Share card error:', error));
+        this.shareCardDrawing = drawing;
+    },
+
+    /**
+     * Download or share the prepared card
+     * Runs synchronously from the click: awaiting before navigator.share can expire
+     * the user activation it requires (notably in Safari)
+     * @param {string} mode - 'download' or 'share'
+     */
+    useShareCard(mode) {
+        const flight = this.activeFlight;
+        const file = this.shareFile;
+        if (!flight || !file) return;
+
+        if (mode === 'share') {
+            ShareCard.share(file, flight).catch(error => console.error('Share card error:', error));
+        } else {
+            ShareCard.download(file);
+        }
+    },
+
+    /**
+     * @param {boolean} disabled - Whether the share card buttons are disabled
+     */
+    setShareButtonsDisabled(disabled) {
+        this.modal.querySelectorAll('#share-card-save, #share-card-share').forEach(button => {
+            button.disabled = disabled;
+        });
     },
 
     /**
@@ -45,6 +125,9 @@ const FlightModal = {
     async open(flight) {
         if (this.isLoading) return;
         this.isLoading = true;
+        this.activeFlight = flight;
+
+        this.dispatch('open', flight);
 
         // Reset all content immediately before showing modal
         this.resetContent();
@@ -59,13 +142,22 @@ const FlightModal = {
         // Show loading state
         this.showLoading();
 
+        // Only this modal's lookups are cancelled on close; other callers keep theirs
+        this.lookupController = new AbortController();
+
         try {
             // Search for airport coordinates using Nominatim API
             const airports = await AirportSearch.searchBothAirports(
                 flight.departureCode,
-                flight.arrivalCode
+                flight.arrivalCode,
+                { signal: this.lookupController.signal }
             );
 
+            // Modal was closed or reopened while waiting
+            if (this.activeFlight !== flight) return;
+
+            this.airports = airports;
+            this.prepareShareCard(flight);
             const departureAirport = airports.departure;
             const arrivalAirport = airports.arrival;
 
@@ -73,64 +165,87 @@ const FlightModal = {
             if (departureAirport && arrivalAirport) {
                 // Small delay to ensure modal is rendered
                 await new Promise(resolve => setTimeout(resolve, 100));
+                if (this.activeFlight !== flight) return;
 
-                FlightMap.init('flight-map');
-                FlightMap.drawFlightPath(
+                const route = this.getFlightMap().init().drawFlightPath(
                     {
-                        lat: departureAirport.lat,
-                        lng: departureAirport.lng,
+                        ...departureAirport,
                         code: flight.departureCode,
-                        city: departureAirport.city
+                        city: AirportSearch.getCityName(flight.departureCode, departureAirport.city)
                     },
                     {
-                        lat: arrivalAirport.lat,
-                        lng: arrivalAirport.lng,
+                        ...arrivalAirport,
                         code: flight.arrivalCode,
-                        city: arrivalAirport.city
+                        city: AirportSearch.getCityName(flight.arrivalCode, arrivalAirport.city)
                     }
                 );
-                document.getElementById('flight-map').classList.remove('no-data');
+                this.hideMapOverlay();
+                this.getPlaneAnimation().start(route.points);
+
+                this.routeInfo = RouteInfo.calculate(departureAirport, arrivalAirport);
+                this.updateRouteInfo();
             } else {
                 this.showMapError();
             }
 
-            // Fetch Wikipedia summaries
-            const departureCityName = AirportSearch.getCityNameForWikipedia(
-                flight.departureCode,
-                flight.departurePlace
-            );
-            const arrivalCityName = AirportSearch.getCityNameForWikipedia(
-                flight.arrivalCode,
-                flight.arrivalPlace
-            );
-
-            const summaries = await WikipediaAPI.fetchBothCities(
-                departureCityName,
-                arrivalCityName
-            );
-
-            // Update city info cards
+            // Show place and code while summaries load
             this.updateCityInfo('departure', {
-                name: flight.departurePlace,
+                place: flight.departurePlace,
                 code: flight.departureCode,
                 country: departureAirport?.country || '',
-                summary: summaries.departure
+                airport: departureAirport,
+                summary: undefined
             });
 
             this.updateCityInfo('arrival', {
-                name: flight.arrivalPlace,
+                place: flight.arrivalPlace,
                 code: flight.arrivalCode,
                 country: arrivalAirport?.country || '',
-                summary: summaries.arrival
+                airport: arrivalAirport,
+                summary: undefined
             });
 
+            await this.loadCitySummaries(flight);
+
         } catch (error) {
             console.error('Error loading flight details:', error);
         } finally {
-            this.isLoading = false;
+            if (this.activeFlight === flight) {
+                this.isLoading = false;
+            }
         }
     },
 
+    /**
+     * Fetch Wikipedia summaries in the active language and fill the city cards
+     * @param {Object} flight - Flight data
+     */
+    async loadCitySummaries(flight) {
+        const departureCity = AirportSearch.getWikipediaLookup(
+            flight.departureCode,
+            flight.departurePlace
+        );
+        const arrivalCity = AirportSearch.getWikipediaLookup(
+            flight.arrivalCode,
+            flight.arrivalPlace
+        );
+
+        const summaries = await WikipediaAPI.fetchBothCities(
+            departureCity,
+            arrivalCity
+        );
+
+        // Modal was closed or reopened while waiting
+        if (this.activeFlight !== flight) return;
+
+        // Update city info cards
+        ['departure', 'arrival'].forEach(type => {
+            if (this.cityInfo[type]) {
+                this.updateCityInfo(type, { ...this.cityInfo[type], summary: summaries[type] });
+            }
+        });
+    },
+
     /**
      * Update modal header with flight info
      * @param {Object} flight - Flight data
@@ -139,8 +254,19 @@ const FlightModal = {
         const flightName = this.modal.querySelector('.modal-flight-name');
         const airlineName = this.modal.querySelector('.modal-airline-name');
 
-        if (flightName) flightName.textContent = `${flight.codeName}便`;
-        if (airlineName) airlineName.textContent = flight.airlineName;
+        if (flightName) flightName.textContent = I18n.t('flight.name', { code: flight.codeName });
+        if (airlineName) {
+            // e.g., "[NH] 全日本空輸 · NH / ANA · Star Alliance"
+            const airline = flight.airline;
+            const details = airline
+                ? [`${airline.iata} / ${airline.icao}`, airline.alliance].filter(Boolean).join(' · ')
+                : '';
+            airlineName.innerHTML = `
+                ${AirlineLookup.renderBadge(flight)}
+                <span>${escapeHtml(AirlineLookup.getName(flight))}</span>
+                ${details ? `<span class="modal-airline-details">${escapeHtml(details)}</span>` : ''}
+            `;
+        }
     },
 
     /**
@@ -151,33 +277,126 @@ const FlightModal = {
         cards.forEach(card => {
             const content = card.querySelector('.city-summary');
             if (content) {
-                content.innerHTML = '<span class="loading-text">読み込み中...</span>';
+                content.innerHTML = `<span class="loading-text">${I18n.t('modal.loading')}</span>`;
             }
         });
 
         // Also show loading on map
-        const mapContainer = document.getElementById('flight-map');
-        mapContainer.innerHTML = `
+        this.showMapOverlay(`
             <div class="map-loading">
                 <span class="loading-spinner"></span>
-                <p>地図を読み込み中...</p>
+                <p>${I18n.t('modal.mapLoading')}</p>
             </div>
-        `;
-        mapContainer.classList.add('no-data');
+        `);
     },
 
     /**
      * Show map error state
      */
     showMapError() {
-        const mapContainer = document.getElementById('flight-map');
-        mapContainer.classList.add('no-data');
-        mapContainer.innerHTML = `
+        this.showMapOverlay(`
             <div class="map-no-data">
                 <i class="material-icons">location_off</i>
-                <p>位置情報がありません</p>
+                <p>${I18n.t('modal.mapNoData')}</p>
             </div>
-        `;
+        `);
+    },
+
+    /**
+     * Cover the map with a loading or error message
+     * The overlay is a sibling of the Leaflet container so the map itself is kept
+     * @param {string} html - Overlay content
+     */
+    showMapOverlay(html) {
+        const overlay = this.modal.querySelector('.map-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = html;
+        overlay.hidden = false;
+    },
+
+    /**
+     * Reveal the map
+     */
+    hideMapOverlay() {
+        const overlay = this.modal.querySelector('.map-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+        overlay.hidden = true;
+    },
+
+    /**
+     * Get the modal's FlightMap, creating it on first use
+     * @returns {FlightMap}
+     */
+    getFlightMap() {
+        if (!this.flightMap) {
+            this.flightMap = new FlightMap('flight-map');
+        }
+        return this.flightMap;
+    },
+
+    /**
+     * Get the plane animation for the modal's map, creating it on first use
+     * @returns {PlaneAnimation}
+     */
+    getPlaneAnimation() {
+        if (!this.planeAnimation) {
+            this.planeAnimation = new PlaneAnimation(this.getFlightMap());
+        }
+        return this.planeAnimation;
+    },
+
+    /**
+     * Show distance, bearing, block time and time difference
+     */
+    updateRouteInfo() {
+        const container = this.modal.querySelector('.route-info');
+        if (!container) return;
+
+        const info = this.routeInfo;
+        container.hidden = !info;
+        if (!info) return;
+
+        const values = {
+            distance: I18n.t('route.distanceValue', {
+                km: I18n.formatNumber(info.distanceKm),
+                mi: I18n.formatNumber(info.distanceMi)
+            }),
+            bearing: I18n.t('route.bearingValue', {
+                degrees: Math.round(info.bearing),
+                compass: I18n.t(`compass.${info.compass}`)
+            }),
+            blockTime: I18n.t('route.blockTimeValue', {
+                duration: I18n.formatDuration(info.blockMinutes)
+            }),
+            timeDifference: this.formatTimeDifference(info)
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            const el = container.querySelector(`[data-route="${key}"]`);
+            if (el) el.textContent = value;
+        });
+    },
+
+    /**
+     * Format the arrival's offset from the departure time zone
+     * @param {Object} info - Route figures
+     * @returns {string} - e.g., "−17時間（UTC+9 → UTC−8）"
+     */
+    formatTimeDifference(info) {
+        if (info.offsetMinutes === null) return I18n.t('route.unknown');
+
+        const offset = info.offsetMinutes === 0
+            ? I18n.t('route.noTimeDifference')
+            : `${info.offsetMinutes < 0 ? '−' : '+'}${I18n.formatDuration(info.offsetMinutes)}`;
+
+        return I18n.t('route.timeDifferenceValue', {
+            offset,
+            from: RouteInfo.formatUtcOffset(info.departureOffset),
+            to: RouteInfo.formatUtcOffset(info.arrivalOffset)
+        });
     },
 
     /**
@@ -189,27 +408,98 @@ const FlightModal = {
         const card = this.modal.querySelector(`.city-card.${type}`);
         if (!card) return;
 
+        this.cityInfo[type] = data;
+
         const title = card.querySelector('.city-title');
+        const details = card.querySelector('.airport-details');
         const summary = card.querySelector('.city-summary');
 
         if (title) {
-            const label = type === 'departure' ? '出発' : '到着';
+            const label = I18n.t(`modal.${type}`);
+            const name = AirportSearch.getCityName(data.code, data.place);
             title.innerHTML = `
-                <span class="city-label">${label}</span>
-                <span class="city-name">${data.name}</span>
-                <span class="city-code">(${data.code})</span>
+                <span class="city-label">${escapeHtml(label)}</span>
+                <span class="city-name">${escapeHtml(name)}</span>
+                <span class="city-code">(${escapeHtml(data.code)})</span>
             `;
         }
 
+        if (details) {
+            const rows = this.getAirportDetails(data.airport);
+            details.innerHTML = rows.map(([label, value]) => `
+                <dt>${escapeHtml(label)}</dt>
+                <dd>${escapeHtml(value)}</dd>
+            `).join('');
+            details.hidden = rows.length === 0;
+        }
+
         if (summary) {
-            if (data.summary) {
-                summary.textContent = WikipediaAPI.truncate(data.summary, 250);
+            if (data.summary === undefined) {
+                summary.innerHTML = `<span class="loading-text">${I18n.t('modal.loading')}</span>`;
+            } else if (data.summary) {
+                const { thumbnail, coordinates } = data.summary;
+                summary.innerHTML = `
+                    ${thumbnail ? `<img class="city-thumbnail" src="${escapeHtml(thumbnail.src)}" alt="${escapeHtml(data.summary.title)}" loading="lazy" crossorigin="anonymous">` : ''}
+                    ${coordinates ? `<span class="city-coordinates"><i class="material-icons">place</i>${this.formatCoordinates(coordinates)}</span>` : ''}
+                    ${escapeHtml(WikipediaAPI.truncate(data.summary.extract, 250))}
+                    <a class="city-source" href="${escapeHtml(data.summary.url)}" target="_blank" rel="noopener">
+                        ${escapeHtml(I18n.t('modal.wikipediaSource', { lang: data.summary.lang }))}
+                    </a>
+                `;
             } else {
-                summary.innerHTML = '<span class="no-summary">説明を取得できませんでした</span>';
+                summary.innerHTML = `<span class="no-summary">${I18n.t('modal.noSummary')}</span>`;
             }
         }
     },
 
+    /**
+     * Label/value rows for the airport details list; unknown fields are left out
+     * (Nominatim results have no time zone, and may lack the other fields)
+     * @param {Object|null} airport - Resolved airport from AirportSearch
+     * @returns {Array<[string, string]>}
+     */
+    getAirportDetails(airport) {
+        if (!airport) return [];
+
+        const rows = [];
+        if (airport.name) {
+            rows.push([I18n.t('airport.name'), airport.name]);
+        }
+        if (airport.icao) {
+            rows.push([I18n.t('airport.icao'), airport.icao]);
+        }
+        if (Number.isFinite(airport.elevationFt)) {
+            rows.push([I18n.t('airport.elevation'), I18n.t('airport.elevationValue', {
+                feet: I18n.formatNumber(airport.elevationFt),
+                meters: I18n.formatNumber(airport.elevationFt * 0.3048)
+            })]);
+        }
+
+        const offset = RouteInfo.getUtcOffsetMinutes(airport.tz);
+        if (offset !== null) {
+            rows.push([I18n.t('airport.timezone'), `${airport.tz} (${RouteInfo.formatUtcOffset(offset)})`]);
+        }
+
+        const country = I18n.language === 'ja' ? airport.country : airport.countryEn || airport.country;
+        if (country || airport.countryCode) {
+            const value = country && airport.countryCode ? `${country} (${airport.countryCode})` : country || airport.countryCode;
+            rows.push([I18n.t('airport.country'), value]);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Format coordinates as degrees with hemisphere (e.g., "35.69°N 139.69°E")
+     * @param {{lat: number, lng: number}} coordinates - Coordinates
+     * @returns {string}
+     */
+    formatCoordinates({ lat, lng }) {
+        const latText = `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}`;
+        const lngText = `${Math.abs(lng).toFixed(2)}°${lng >= 0 ? 'E' : 'W'}`;
+        return `${latText} ${lngText}`;
+    },
+
     /**
      * Reset all modal content to loading state
      */
@@ -220,24 +510,35 @@ const FlightModal = {
         if (flightName) flightName.textContent = '';
         if (airlineName) airlineName.textContent = '';
 
-        // Destroy previous map
-        FlightMap.destroy();
+        // Remove the previous route; the map itself is reused
+        if (this.planeAnimation) this.planeAnimation.stop();
+        if (this.flightMap) this.flightMap.clear();
+        this.hideMapOverlay();
 
-        // Reset map container
-        const mapContainer = document.getElementById('flight-map');
-        if (mapContainer) {
-            mapContainer.innerHTML = '';
-            mapContainer.classList.remove('no-data');
-        }
+        // Hide route figures until coordinates are resolved
+        this.routeInfo = null;
+        this.airports = null;
+        this.updateRouteInfo();
+
+        // The share card is drawn once the airports are known
+        this.shareFile = null;
+        this.shareCardDrawing = null;
+        this.setShareButtonsDisabled(true);
 
         // Reset city cards
+        this.cityInfo = {};
         const cards = this.modal.querySelectorAll('.city-card');
         cards.forEach(card => {
             const title = card.querySelector('.city-title');
+            const details = card.querySelector('.airport-details');
             const summary = card.querySelector('.city-summary');
             if (title) {
-                const label = card.classList.contains('departure') ? '出発' : '到着';
-                title.innerHTML = `<span class="city-label">${label}</span>`;
+                const type = card.classList.contains('departure') ? 'departure' : 'arrival';
+                title.innerHTML = `<span class="city-label">${I18n.t(`modal.${type}`)}</span>`;
+            }
+            if (details) {
+                details.innerHTML = '';
+                details.hidden = true;
             }
             if (summary) {
                 summary.innerHTML = '';
@@ -249,18 +550,68 @@ const FlightModal = {
      * Close the modal
      */
     close() {
+        const flight = this.activeFlight;
+        const wasOpen = this.modal.classList.contains('active');
+
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
 
-        // Destroy map to free resources
-        FlightMap.destroy();
+        // Stop airport lookups queued for this flight
+        this.activeFlight = null;
+        this.isLoading = false;
+        if (this.lookupController) {
+            this.lookupController.abort();
+            this.lookupController = null;
+        }
+        this.shareFile = null;
+        this.shareCardDrawing = null;
+
+        // Remove drawn layers; the map is kept for the next flight
+        if (this.planeAnimation) this.planeAnimation.stop();
+        if (this.flightMap) this.flightMap.clear();
 
-        // Reset content
-        const mapContainer = document.getElementById('flight-map');
-        if (mapContainer) {
-            mapContainer.innerHTML = '';
-            mapContainer.classList.remove('no-data');
+        if (wasOpen) {
+            this.dispatch('close', flight);
         }
+    },
+
+    /**
+     * Notify listeners (e.g., URL state sync) that the modal opened or closed
+     * @param {string} type - 'open' or 'close'
+     * @param {Object|null} flight - Flight data
+     */
+    dispatch(type, flight) {
+        document.dispatchEvent(new CustomEvent(`flightmodal:${type}`, {
+            detail: { flight }
+        }));
+    },
+
+    /**
+     * Re-render text of the open modal in the active language
+     */
+    applyLanguage() {
+        if (!this.isOpen() || !this.activeFlight) return;
+
+        this.updateHeader(this.activeFlight);
+        this.updateRouteInfo();
+        if (this.planeAnimation) this.planeAnimation.updateControl();
+        Object.entries(this.cityInfo).forEach(([type, data]) => {
+            this.updateCityInfo(type, data);
+        });
+
+        // The card text is localized too
+        if (this.shareCardDrawing) this.prepareShareCard(this.activeFlight);
+
+        // Summaries come from the new language's wiki
+        this.loadCitySummaries(this.activeFlight);
+    },
+
+    /**
+     * Check whether the modal is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
     }
 };
 
@@ -0,0 +1,235 @@
+// Plane animation module
+// Flies a plane icon along a FlightMap route's great circle points
+
+class PlaneAnimation {
+    // Time for one flight from departure to arrival
+    static durationMs = 6000;
+
+    /**
+     * @param {FlightMap} flightMap - Map the plane is drawn on
+     */
+    constructor(flightMap) {
+        this.flightMap = flightMap;
+        this.points = [];
+        this.marker = null;
+        this.control = null;
+        this.progress = 0;
+        this.playing = false;
+        this.frameId = null;
+        this.lastTimestamp = null;
+
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.onMotionPreferenceChange = () => {
+            if (this.reducedMotion.matches) this.pause();
+        };
+    }
+
+    /**
+     * Place the plane on a route and start flying (unless reduced motion is preferred)
+     * @param {Array} points - [lat, lng] points from FlightMap.generateArc
+     */
+    start(points) {
+        this.stop();
+        if (!points || points.length < 2) return;
+
+        this.points = points;
+        this.marker = this.flightMap.addLayer(L.marker(points[0], {
+            icon: L.divIcon({
+                className: 'plane-marker',
+                html: '<div class="plane-icon"><i class="material-icons">flight</i></div>',
+                iconSize: [28, 28],
+                iconAnchor: [14, 14]
+            }),
+            interactive: false,
+            keyboard: false,
+            zIndexOffset: 1000
+        }));
+
+        this.addControl();
+        this.reducedMotion.addEventListener('change', this.onMotionPreferenceChange);
+
+        if (this.reducedMotion.matches) {
+            // Show a still plane halfway along the route instead of animating
+            this.progress = 0.5;
+            this.render();
+        } else {
+            this.progress = 0;
+            this.play();
+        }
+    }
+
+    /**
+     * Resume the animation (restarts from departure if it had finished)
+     */
+    play() {
+        if (!this.marker || this.playing) return;
+
+        if (this.progress >= 1) this.progress = 0;
+        this.playing = true;
+        this.lastTimestamp = null;
+        this.frameId = requestAnimationFrame(timestamp => this.step(timestamp));
+        this.updateControl();
+    }
+
+    /**
+     * Pause at the current position
+     */
+    pause() {
+        this.playing = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.updateControl();
+    }
+
+    /**
+     * Fly again from departure
+     */
+    replay() {
+        this.pause();
+        this.progress = 0;
+        this.render();
+        this.play();
+    }
+
+    /**
+     * Stop the animation and remove the plane and its controls
+     */
+    stop() {
+        this.pause();
+        this.reducedMotion.removeEventListener('change', this.onMotionPreferenceChange);
+
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        if (this.control) {
+            this.control.remove();
+            this.control = null;
+        }
+        this.points = [];
+    }
+
+    /**
+     * Advance one animation frame
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    step(timestamp) {
+        if (!this.playing) return;
+
+        if (this.lastTimestamp !== null) {
+            this.progress = Math.min(1, this.progress + (timestamp - this.lastTimestamp) / PlaneAnimation.durationMs);
+        }
+        this.lastTimestamp = timestamp;
+        this.render();
+
+        if (this.progress >= 1) {
+            this.pause();
+            return;
+        }
+        this.frameId = requestAnimationFrame(next => this.step(next));
+    }
+
+    /**
+     * Move and rotate the plane for the current progress
+     */
+    render() {
+        if (!this.marker) return;
+
+        const { latLng, bearing } = this.positionAt(this.progress);
+        this.marker.setLatLng(latLng);
+
+        const icon = this.marker.getElement()?.querySelector('.plane-icon');
+        if (icon) {
+            // The "flight" glyph points north
+            icon.style.transform = `rotate(${bearing}deg)`;
+        }
+    }
+
+    /**
+     * Position and local bearing along the route
+     * @param {number} progress - 0 (departure) to 1 (arrival)
+     * @returns {{latLng: Array, bearing: number}}
+     */
+    positionAt(progress) {
+        const last = this.points.length - 1;
+        const exact = progress * last;
+        const index = Math.min(Math.floor(exact), last - 1);
+        const fraction = exact - index;
+
+        const from = this.points[index];
+        const to = this.points[index + 1];
+        const bearing = FlightMap.initialBearing(from, to);
+
+        // Where the arc crosses the antimeridian, jump between map edges with the line
+        if (Math.abs(to[1] - from[1]) > 180) {
+            return { latLng: fraction < 0.5 ? from : to, bearing };
+        }
+
+        return {
+            latLng: [
+                from[0] + (to[0] - from[0]) * fraction,
+                from[1] + (to[1] - from[1]) * fraction
+            ],
+            bearing
+        };
+    }
+
+    /**
+     * Add play/pause and replay buttons to the map
+     */
+    addControl() {
+        const animation = this;
+        const Control = L.Control.extend({
+            options: { position: 'bottomleft' },
+
+            onAdd() {
+                const container = L.DomUtil.create('div', 'leaflet-bar plane-controls');
+                container.innerHTML = `
+                    <button type="button" class="plane-toggle"><i class="material-icons"></i></button>
+                    <button type="button" class="plane-replay">
+                        <i class="material-icons">replay</i>
+                    </button>
+                `;
+                L.DomEvent.disableClickPropagation(container);
+
+                container.querySelector('.plane-toggle').addEventListener('click', () => {
+                    if (animation.playing) {
+                        animation.pause();
+                    } else {
+                        animation.play();
+                    }
+                });
+                container.querySelector('.plane-replay').addEventListener('click', () => animation.replay());
+
+                return container;
+            }
+        });
+
+        this.control = new Control();
+        this.flightMap.map.addControl(this.control);
+        this.updateControl();
+    }
+
+    /**
+     * Sync the button icons and labels with the state and language
+     */
+    updateControl() {
+        const container = this.control?.getContainer?.();
+        if (!container) return;
+
+        const toggle = container.querySelector('.plane-toggle');
+        const toggleLabel = I18n.t(this.playing ? 'plane.pause' : 'plane.play');
+        toggle.title = toggleLabel;
+        toggle.setAttribute('aria-label', toggleLabel);
+        toggle.querySelector('i').textContent = this.playing ? 'pause' : 'play_arrow';
+
+        const replay = container.querySelector('.plane-replay');
+        replay.title = I18n.t('plane.replay');
+        replay.setAttribute('aria-label', I18n.t('plane.replay'));
+    }
+}
+
+// Export for use in other modules
+window.PlaneAnimation = PlaneAnimation;
@@ -0,0 +1,237 @@
+// Results export module
+// Downloads the flights shown in the results table as CSV, JSON or iCalendar (.ics)
+// Records are enriched with coordinates and English city names from airports.json
+// and airline codes from airlines.json
+
+const ResultsExport = {
+    formats: {
+        csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', type: 'application/json;charset=utf-8' },
+        ics: { extension: 'ics', type: 'text/calendar;charset=utf-8' }
+    },
+
+    /**
+     * Build and download an export file
+     * @param {string} format - "csv", "json" or "ics"
+     * @param {Array<{flight: Object, birthday: string, person: string|null}>} entries - Flights with their birthday key
+     * @param {string} name - File name without extension
+     */
+    download(format, entries, name) {
+        const { extension, type } = this.formats[format];
+        const records = entries.map(entry => this.buildRecord(entry));
+
+        const content = {
+            csv: () => this.toCsv(records),
+            json: () => this.toJson(records),
+            ics: () => this.toIcs(records)
+        }[format]();
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Combine a flight with its birthday and airport data
+     * @param {{flight: Object, birthday: string, person: string|null}} entry - person is set for a family search
+     * @returns {Object}
+     */
+    buildRecord({ flight, birthday, person }) {
+        const { month, day } = BirthdayKey.parse(birthday);
+
+        return {
+            flight: flight.codeName,
+            person: person || null,
+            airline: flight.airlineName,
+            airlineEn: flight.airline?.name || null,
+            airlineIata: flight.airline?.iata || null,
+            airlineIcao: flight.airline?.icao || null,
+            alliance: flight.airline?.alliance || null,
+            birthday: { key: birthday, month, day },
+            departure: this.buildAirport(flight.departureCode, flight.departurePlace),
+            arrival: this.buildAirport(flight.arrivalCode, flight.arrivalPlace)
+        };
+    },
+
+    /**
+     * Airport fields for one end of a flight
+     * @param {string} code - Airport code
+     * @param {string} place - Place name from flight data
+     * @returns {{code: string, place: string, cityEn: string|null, lat: number|null, lng: number|null}}
+     */
+    buildAirport(code, place) {
+        const data = AirportSearch.cityNames[code?.toUpperCase()];
+
+        return {
+            code: code || '',
+            place: place || '',
+            cityEn: data?.cityEn || null,
+            lat: Number.isFinite(data?.lat) ? data.lat : null,
+            lng: Number.isFinite(data?.lng) ? data.lng : null
+        };
+    },
+
+    /**
+     * @param {Array} records - Records from buildRecord
+     * @returns {string}
+     */
+    toJson(records) {
+        return JSON.stringify(records, null, 2) + '\n';
+    },
+
+    /**
+     * One row per flight; a BOM lets spreadsheet apps detect UTF-8 (Japanese names)
+     * @param {Array} records - Records from buildRecord
+     * @returns {string}
+     */
+    toCsv(records) {
+        const header = [
+            'flight', 'person', 'airline', 'airline_en', 'airline_iata', 'airline_icao', 'alliance', 'month', 'day',
+            'departure_code', 'departure_place', 'departure_city_en', 'departure_lat', 'departure_lng',
+            'arrival_code', 'arrival_place', 'arrival_city_en', 'arrival_lat', 'arrival_lng'
+        ];
+
+        const rows = records.map(record => [
+            record.flight, record.person, record.airline, record.airlineEn, record.airlineIata, record.airlineIcao, record.alliance,
+            record.birthday.month, record.birthday.day,
+            ...['departure', 'arrival'].flatMap(side => {
+                const airport = record[side];
+                return [airport.code, airport.place, airport.cityEn, airport.lat, airport.lng];
+            })
+        ]);
+
+        return '\uFEFF' + [header, ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Quote a CSV field when needed
+     * @param {any} value - Field value (null becomes empty)
+     * @returns {string}
+     */
+    escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Domain part of event UIDs: the host serving the page, so UIDs stay under a domain we run
+     * @returns {string}
+     */
+    getUidDomain() {
+        return window.location.hostname || 'localhost';
+    },
+
+    /**
+     * One all-day event per flight, repeating every year on the birthday
+     * @param {Array} records - Records from buildRecord
+     * @returns {string}
+     */
+    toIcs(records) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const year = new Date().getFullYear();
+
+        const events = records.flatMap(record => {
+            const { key, month, day } = record.birthday;
+            const leapDay = BirthdayKey.isLeapDay(month, day);
+
+            // Feb 29 birthdays fall on the last day of February in common years
+            const startDay = leapDay ? new Date(Date.UTC(year, 2, 0)).getUTCDate() : day;
+            const start = new Date(Date.UTC(year, month - 1, startDay));
+            const end = new Date(Date.UTC(year, month - 1, startDay + 1));
+            const rule = leapDay ? 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'FREQ=YEARLY';
+
+            const from = AirportSearch.getCityName(record.departure.code, record.departure.place);
+            const to = AirportSearch.getCityName(record.arrival.code, record.arrival.place);
+            const url = new URL(UrlState.toUrl({ d: key, q: null, f: record.flight }), window.location.href).href;
+            // Family members can share a flight, so each person's event needs its own UID
+            const person = record.person ? `-${encodeURIComponent(record.person)}` : '';
+
+            return [
+                'BEGIN:VEVENT',
+                `UID:${record.flight}-${key}${person}@${this.getUidDomain()}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatIcsDate(start)}`,
+                `DTEND;VALUE=DATE:${this.formatIcsDate(end)}`,
+                `RRULE:${rule}`,
+                `SUMMARY:${this.escapeIcs(I18n.t('export.eventSummary', { flight: record.flight, from, to }))}`,
+                `DESCRIPTION:${this.escapeIcs(`${record.person ? `${record.person}\n` : ''}${record.airline}\n${record.departure.code} → ${record.arrival.code}\n${url}`)}`,
+                `URL:${url}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            ];
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Airversary//Birthday Flights//EN',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this.escapeIcs(I18n.t('export.calendarName'))}`,
+            ...events,
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * @param {Date} date - UTC date
+     * @returns {string} - YYYYMMDD
+     */
+    formatIcsDate(date) {
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    },
+
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     * @param {string} text - Value
+     * @returns {string}
+     */
+    escapeIcs(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a character
+     * @param {string} line - Unfolded line
+     * @returns {string}
+     */
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts toward the limit
+            const limit = parts.length === 0 ? 75 : 74;
+            if (size + charSize > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+};
+
+// Export for use in other modules
+window.ResultsExport = ResultsExport;
@@ -0,0 +1,549 @@
+// Results table module
+// Renders search results into AirlineTable with column sorting, a text filter,
+// filter chips (departure country, airline, alliance) and optional grouping by airline.
+// Family search results are grouped by person, with overlaps between people marked.
+// Sort and filter state lives here, so it survives closing the modal and re-renders
+
+const ResultsTable = {
+    body: null,
+
+    // Result groups from the last search: [{ birthday, interpretation?, number?, member?, flights }]
+    groups: [],
+
+    // Overlaps between people in a family search, keyed by flight (FamilyBirthdays.findOverlaps)
+    overlaps: new Map(),
+
+    // Column being sorted (key of columns) and direction; null keeps the data order
+    sort: { key: null, direction: 'asc' },
+
+    // Free text matched against flight code, airline, cities and airport codes
+    filterText: '',
+
+    // Selected chip keys; an empty set means no filter for that category
+    selectedCountries: new Set(),
+    selectedAirlines: new Set(),
+    selectedAlliances: new Set(),
+
+    groupByAirline: false,
+
+    // Sort value per column
+    columns: {
+        flight: flight => flight.codeName || '',
+        airline: flight => AirlineLookup.getName(flight),
+        departure: flight => AirportSearch.getCityName(flight.departureCode, flight.departurePlace),
+        departureCode: flight => flight.departureCode || '',
+        arrival: flight => AirportSearch.getCityName(flight.arrivalCode, flight.arrivalPlace),
+        arrivalCode: flight => flight.arrivalCode || ''
+    },
+
+    /**
+     * Bind the header and toolbar controls
+     */
+    init() {
+        this.body = document.querySelector('#AirlineTable tbody');
+
+        document.querySelectorAll('#AirlineTable th[data-sort]').forEach(th => {
+            th.querySelector('button').addEventListener('click', () => this.toggleSort(th.dataset.sort));
+        });
+
+        document.getElementById('results-filter').addEventListener('input', (e) => {
+            this.filterText = e.target.value;
+            this.update(true);
+        });
+
+        document.getElementById('group-by-airline').addEventListener('change', (e) => {
+            this.groupByAirline = e.target.checked;
+            this.update(false);
+        });
+
+        document.getElementById('clear-filters').addEventListener('click', () => this.clearFilters());
+    },
+
+    /**
+     * Show the results of a new search (or re-render the current one)
+     * Chip selections that do not occur in the new results are dropped
+     * @param {Array} groups - [{ birthday, interpretation, number, member, flights }]
+     */
+    render(groups) {
+        this.groups = groups;
+        this.overlaps = FamilyBirthdays.findOverlaps(groups);
+
+        const flights = this.getFlights();
+        const countries = new Set(flights.map(flight => this.getCountryKey(flight)));
+        const airlines = new Set(flights.map(flight => RoutesOverview.getAirlineKey(flight)));
+        const alliances = new Set(flights.map(flight => this.getAllianceKey(flight)));
+        this.selectedCountries = new Set([...this.selectedCountries].filter(key => countries.has(key)));
+        this.selectedAirlines = new Set([...this.selectedAirlines].filter(key => airlines.has(key)));
+        this.selectedAlliances = new Set([...this.selectedAlliances].filter(key => alliances.has(key)));
+
+        this.update(true, true);
+    },
+
+    /**
+     * Remove all rows
+     */
+    clear() {
+        this.groups = [];
+        this.overlaps = new Map();
+        this.body.innerHTML = '';
+    },
+
+    /**
+     * All flights of the current results
+     * @returns {Array}
+     */
+    getFlights() {
+        return this.groups.flatMap(group => group.flights);
+    },
+
+    /**
+     * Flights that pass the text filter and chips
+     * @returns {Array}
+     */
+    getVisibleFlights() {
+        return this.getFlights().filter(flight => this.matches(flight));
+    },
+
+    /**
+     * Visible flights with their birthday key (and person for a family search), in table order
+     * @returns {Array<{flight: Object, birthday: string, person: string|null}>}
+     */
+    getVisibleEntries() {
+        return this.groups.flatMap(group => {
+            const flights = this.sortFlights(group.flights.filter(flight => this.matches(flight)));
+            return flights.map(flight => ({ flight, birthday: group.birthday, person: group.member?.name || null }));
+        });
+    },
+
+    /**
+     * Re-render rows, chips and controls from the current state
+     * @param {boolean} filtersChanged - Redraw the overview map for the new selection
+     * @param {boolean} animate - Fade rows in (new results only)
+     */
+    update(filtersChanged, animate = false) {
+        this.renderChips();
+        this.renderHeaders();
+        this.renderRows(animate);
+        this.renderStatus();
+
+        if (filtersChanged) {
+            RoutesOverview.render(this.getVisibleFlights());
+        }
+    },
+
+    /**
+     * Sort by a column, reversing the direction on repeated clicks
+     * @param {string} key - Column key
+     */
+    toggleSort(key) {
+        if (this.sort.key === key) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sort = { key, direction: 'asc' };
+        }
+        this.update(false);
+    },
+
+    /**
+     * Reset the text filter and chips
+     */
+    clearFilters() {
+        this.filterText = '';
+        this.selectedCountries.clear();
+        this.selectedAirlines.clear();
+        this.selectedAlliances.clear();
+        document.getElementById('results-filter').value = '';
+        this.update(true);
+    },
+
+    /**
+     * Whether any filter is active
+     * @returns {boolean}
+     */
+    isFiltered() {
+        return this.filterText.trim() !== ''
+            || this.selectedCountries.size > 0
+            || this.selectedAirlines.size > 0
+            || this.selectedAlliances.size > 0;
+    },
+
+    /**
+     * Check a flight against the text filter and chips
+     * @param {Object} flight - Flight data
+     * @returns {boolean}
+     */
+    matches(flight) {
+        if (this.selectedCountries.size > 0 && !this.selectedCountries.has(this.getCountryKey(flight))) {
+            return false;
+        }
+        if (this.selectedAirlines.size > 0 && !this.selectedAirlines.has(RoutesOverview.getAirlineKey(flight))) {
+            return false;
+        }
+        if (this.selectedAlliances.size > 0 && !this.selectedAlliances.has(this.getAllianceKey(flight))) {
+            return false;
+        }
+
+        const query = this.normalizeText(this.filterText.trim());
+        if (!query) return true;
+
+        // Match names in both languages so the filter works regardless of the UI language
+        const haystack = [
+            flight.codeName,
+            flight.airlineName,
+            flight.airline?.name,
+            flight.airline?.nameJa,
+            flight.airline?.icao,
+            flight.departureCode,
+            flight.departurePlace,
+            AirportSearch.getCityName(flight.departureCode, flight.departurePlace),
+            AirportSearch.cityNames[flight.departureCode]?.cityEn,
+            flight.arrivalCode,
+            flight.arrivalPlace,
+            AirportSearch.getCityName(flight.arrivalCode, flight.arrivalPlace),
+            AirportSearch.cityNames[flight.arrivalCode]?.cityEn
+        ].map(text => this.normalizeText(text || '')).join('\n');
+
+        return query.split(/\s+/).every(term => haystack.includes(term));
+    },
+
+    /**
+     * Normalize text for matching (full-width → half-width, case-insensitive)
+     * @param {string} text - Input text
+     * @returns {string}
+     */
+    normalizeText(text) {
+        return text.normalize('NFKC').toLowerCase();
+    },
+
+    /**
+     * Departure country chip key (the Japanese name, stable across UI languages)
+     * @param {Object} flight - Flight data
+     * @returns {string} - '' if the country is unknown
+     */
+    getCountryKey(flight) {
+        return AirportSearch.getCountryName(flight.departureCode, 'ja');
+    },
+
+    /**
+     * Alliance chip key
+     * @param {Object} flight - Flight data
+     * @returns {string} - '' for airlines outside the alliances or not in airlines.json
+     */
+    getAllianceKey(flight) {
+        return flight.airline?.alliance || '';
+    },
+
+    /**
+     * Sort flights by the active column
+     * @param {Array} flights - Flights to sort
+     * @returns {Array} - New array
+     */
+    sortFlights(flights) {
+        const { key, direction } = this.sort;
+        if (!key) return flights.slice();
+
+        const getValue = this.columns[key];
+        const collator = new Intl.Collator(I18n.language, { numeric: true, sensitivity: 'base' });
+        const sign = direction === 'asc' ? 1 : -1;
+
+        return flights.slice().sort((a, b) => sign * collator.compare(getValue(a), getValue(b)));
+    },
+
+    /**
+     * Split flights into airline groups, ordered by airline name
+     * @param {Array} flights - Sorted flights
+     * @returns {Array<{key: string, name: string, flights: Array}>}
+     */
+    groupFlightsByAirline(flights) {
+        const groups = new Map();
+        flights.forEach(flight => {
+            const key = RoutesOverview.getAirlineKey(flight);
+            if (!groups.has(key)) {
+                groups.set(key, { key, name: AirlineLookup.getName(flight) || key, flights: [] });
+            }
+            groups.get(key).flights.push(flight);
+        });
+
+        const collator = new Intl.Collator(I18n.language);
+        const sign = this.sort.key === 'airline' && this.sort.direction === 'desc' ? -1 : 1;
+        return [...groups.values()].sort((a, b) => sign * collator.compare(a.name, b.name));
+    },
+
+    /**
+     * Render table rows for the visible flights
+     * @param {boolean} animate - Fade rows in
+     */
+    renderRows(animate) {
+        this.body.innerHTML = '';
+        let index = 0;
+
+        const appendFlights = flights => {
+            this.sortFlights(flights).forEach(flight => {
+                this.body.appendChild(this.createFlightRow(flight, index++, animate));
+            });
+        };
+
+        this.groups.forEach(group => {
+            const flights = group.flights.filter(flight => this.matches(flight));
+            if (flights.length === 0) return;
+
+            if (group.interpretation || group.member) {
+                this.body.appendChild(this.createGroupRow(group));
+            }
+
+            if (this.groupByAirline) {
+                this.groupFlightsByAirline(flights).forEach(airlineGroup => {
+                    this.body.appendChild(this.createAirlineRow(airlineGroup));
+                    appendFlights(airlineGroup.flights);
+                });
+            } else {
+                appendFlights(flights);
+            }
+        });
+
+        if (index === 0 && this.groups.length > 0) {
+            const tr = document.createElement('tr');
+            tr.className = 'empty-row';
+            tr.innerHTML = `<td colspan="6">${escapeHtml(I18n.t('table.noMatch'))}</td>`;
+            this.body.appendChild(tr);
+        }
+    },
+
+    /**
+     * Create table row with animation
+     * @param {Object} flight - Flight data
+     * @param {number} index - Row position, staggers the fade-in
+     * @param {boolean} animate - Fade the row in
+     * @returns {HTMLTableRowElement}
+     */
+    createFlightRow(flight, index, animate) {
+        const { codeName, departurePlace, departureCode, arrivalPlace, arrivalCode } = flight;
+        const overlap = this.overlaps.get(flight);
+
+        // Shared airports and airlines are marked; connections get badges
+        const shared = (isShared, titleKey) => (isShared
+            ? ` class="shared-value" title="${escapeHtml(I18n.t(titleKey))}"`
+            : '');
+
+        const tr = document.createElement('tr');
+        if (animate) {
+            tr.className = 'fade-in';
+            tr.style.animationDelay = `${index * 0.03}s`;
+        }
+        if (overlap?.chainsTo.length || overlap?.chainsFrom.length) {
+            tr.classList.add('chain-row');
+        }
+        tr.innerHTML = `
+            <td class="font-medium text-rose-600">${escapeHtml(codeName)}${this.renderChainBadges(overlap)}</td>
+            <td><span class="airline-cell">${AirlineLookup.renderBadge(flight)}<span${shared(overlap?.airline, 'family.sharedAirline')}>${escapeHtml(AirlineLookup.getName(flight))}</span></span></td>
+            <td><span${shared(overlap?.departure, 'family.sharedAirport')}>${escapeHtml(AirportSearch.getCityName(departureCode, departurePlace))}</span></td>
+            <td class="hidden lg:table-cell text-gray-500">${escapeHtml(departureCode)}</td>
+            <td><span${shared(overlap?.arrival, 'family.sharedAirport')}>${escapeHtml(AirportSearch.getCityName(arrivalCode, arrivalPlace))}</span></td>
+            <td class="hidden lg:table-cell text-gray-500">${escapeHtml(arrivalCode)}</td>
+        `;
+
+        // Add click handler for modal
+        tr.addEventListener('click', () => {
+            FlightModal.open(flight);
+        });
+
+        return tr;
+    },
+
+    /**
+     * Connection badges for a family search row, e.g., "→ Taro NH1231"
+     * @param {Object|undefined} overlap - Entry from overlaps
+     * @returns {string} - HTML
+     */
+    renderChainBadges(overlap) {
+        if (!overlap) return '';
+
+        const badges = [
+            ...overlap.chainsTo.map(({ flight, member }) => I18n.t('family.chainTo', { name: member.name, flight: flight.codeName })),
+            ...overlap.chainsFrom.map(({ flight, member }) => I18n.t('family.chainFrom', { name: member.name, flight: flight.codeName }))
+        ];
+        if (badges.length === 0) return '';
+
+        // A hub airport can connect to many flights; show a few and count the rest
+        const shown = badges.slice(0, 3).map(text => `<span class="chain-badge">${escapeHtml(text)}</span>`);
+        if (badges.length > 3) {
+            shown.push(`<span class="chain-badge">${escapeHtml(I18n.t('family.more', { count: badges.length - 3 }))}</span>`);
+        }
+        return `<span class="chain-badges">${shown.join('')}</span>`;
+    },
+
+    /**
+     * Create group header row for one birthday interpretation or family member
+     * @param {Object} group - { interpretation, number, member, flights }
+     * @returns {HTMLTableRowElement}
+     */
+    createGroupRow(group) {
+        if (group.member) {
+            const tr = document.createElement('tr');
+            tr.className = 'group-row member-row';
+            tr.innerHTML = `
+                <td colspan="6">
+                    <i class="material-icons">person</i>
+                    ${escapeHtml(FamilyBirthdays.getLabel(group.member))}
+                </td>
+            `;
+            return tr;
+        }
+
+        const { month, day, exact } = group.interpretation;
+        const label = getGroupLabel(group);
+        const note = exact ? '' : I18n.t('result.groupLoose', { number: group.number, month, day });
+
+        const tr = document.createElement('tr');
+        tr.className = 'group-row';
+        tr.innerHTML = `
+            <td colspan="6">
+                ${escapeHtml(label)}
+                ${note ? `<span class="group-note">${escapeHtml(note)}</span>` : ''}
+            </td>
+        `;
+        return tr;
+    },
+
+    /**
+     * Create header row for an airline group
+     * @param {Object} airlineGroup - { key, name, flights }
+     * @returns {HTMLTableRowElement}
+     */
+    createAirlineRow(airlineGroup) {
+        const tr = document.createElement('tr');
+        tr.className = 'group-row airline-group-row';
+        tr.innerHTML = `
+            <td colspan="6">
+                ${escapeHtml(airlineGroup.name)}
+                <span class="group-note">${escapeHtml(I18n.t('table.airlineFlights', { count: airlineGroup.flights.length }))}</span>
+            </td>
+        `;
+        return tr;
+    },
+
+    /**
+     * Mark the sorted column in the header
+     */
+    renderHeaders() {
+        document.querySelectorAll('#AirlineTable th[data-sort]').forEach(th => {
+            const active = th.dataset.sort === this.sort.key;
+            const direction = this.sort.direction === 'asc' ? 'ascending' : 'descending';
+            th.setAttribute('aria-sort', active ? direction : 'none');
+            th.querySelector('.sort-icon').textContent = active
+                ? (this.sort.direction === 'asc' ? 'arrow_upward' : 'arrow_downward')
+                : 'unfold_more';
+        });
+    },
+
+    /**
+     * Render departure country, airline and alliance chips
+     * A category with fewer than two options is hidden
+     */
+    renderChips() {
+        const flights = this.getFlights();
+
+        const countries = this.countBy(flights, flight => this.getCountryKey(flight), flight => {
+            return AirportSearch.getCountryName(flight.departureCode) || I18n.t('table.unknownCountry');
+        });
+        const airlines = this.countBy(flights, flight => RoutesOverview.getAirlineKey(flight), flight => {
+            return AirlineLookup.getName(flight) || RoutesOverview.getAirlineKey(flight);
+        });
+        const alliances = this.countBy(flights, flight => this.getAllianceKey(flight), flight => {
+            return flight.airline?.alliance || I18n.t('table.noAlliance');
+        });
+
+        this.renderChipGroup('country-chips', 'table.countryChips', countries, this.selectedCountries);
+        this.renderChipGroup('airline-chips', 'table.airlineChips', airlines, this.selectedAirlines);
+        this.renderChipGroup('alliance-chips', 'table.allianceChips', alliances, this.selectedAlliances);
+    },
+
+    /**
+     * Count flights per key, most frequent first
+     * @param {Array} flights - Flights to count
+     * @param {Function} getKey - Flight → key
+     * @param {Function} getLabel - Flight → display label
+     * @returns {Array<{key: string, label: string, count: number}>}
+     */
+    countBy(flights, getKey, getLabel) {
+        const counts = new Map();
+        flights.forEach(flight => {
+            const key = getKey(flight);
+            if (!counts.has(key)) {
+                counts.set(key, { key, label: getLabel(flight), count: 0 });
+            }
+            counts.get(key).count++;
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * Render one row of toggle chips
+     * @param {string} containerId - Chip container element id
+     * @param {string} labelKey - I18n key of the row label
+     * @param {Array} options - [{ key, label, count }]
+     * @param {Set} selected - Selected keys, updated on click
+     */
+    renderChipGroup(containerId, labelKey, options, selected) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        container.hidden = options.length < 2;
+        if (container.hidden) return;
+
+        const label = document.createElement('span');
+        label.className = 'filter-chips-label';
+        label.textContent = I18n.t(labelKey);
+        container.appendChild(label);
+
+        options.forEach(option => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.setAttribute('aria-pressed', selected.has(option.key));
+            chip.innerHTML = `${escapeHtml(option.label)}<span class="filter-chip-count">${option.count}</span>`;
+            chip.addEventListener('click', () => {
+                if (selected.has(option.key)) {
+                    selected.delete(option.key);
+                } else {
+                    selected.add(option.key);
+                }
+                this.update(true);
+            });
+            container.appendChild(chip);
+        });
+    },
+
+    /**
+     * Show the visible count and the clear button while filtering
+     */
+    renderStatus() {
+        const count = document.getElementById('results-count');
+        const clearButton = document.getElementById('clear-filters');
+        const filtered = this.isFiltered();
+
+        count.textContent = filtered
+            ? I18n.t('table.showing', { shown: this.getVisibleFlights().length, total: this.getFlights().length })
+            : '';
+        clearButton.hidden = !filtered;
+
+        this.renderOverlapSummary();
+    },
+
+    /**
+     * Summarize overlaps between people above the table (family search only)
+     */
+    renderOverlapSummary() {
+        const summary = document.getElementById('family-overlaps');
+        const people = this.groups.filter(group => group.member).length;
+        summary.hidden = people < 2;
+        if (summary.hidden) return;
+
+        summary.innerHTML = `
+            <i class="material-icons">compare_arrows</i>
+            ${escapeHtml(I18n.t('family.summary', FamilyBirthdays.summarize(this.overlaps)))}
+        `;
+    }
+};
+
+// Export for use in other modules
+window.ResultsTable = ResultsTable;
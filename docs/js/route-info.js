@@ -0,0 +1,164 @@
+// Route info module
+// Distance, bearing, estimated block time and time difference between two airports
+
+const RouteInfo = {
+    kmPerMile: 1.609344,
+
+    // Rough block time model: average speed plus taxi/climb/descent allowance
+    cruiseSpeedKmh: 800,
+    overheadMinutes: 30,
+
+    // 8-point compass, clockwise from north
+    compassPoints: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'],
+
+    /**
+     * Calculate route figures between two resolved airports
+     * @param {Object} departure - {lat, lng, tz}
+     * @param {Object} arrival - {lat, lng, tz}
+     * @returns {{distanceKm: number, distanceMi: number, bearing: number, compass: string, blockMinutes: number, departureOffset: number|null, arrivalOffset: number|null, offsetMinutes: number|null}}
+     */
+    calculate(departure, arrival) {
+        const start = [departure.lat, departure.lng];
+        const end = [arrival.lat, arrival.lng];
+
+        const distanceKm = FlightMap.distance(start, end);
+        const bearing = FlightMap.initialBearing(start, end);
+
+        // Time zones are only known for airports in airports.json
+        const departureOffset = this.getUtcOffsetMinutes(departure.tz);
+        const arrivalOffset = this.getUtcOffsetMinutes(arrival.tz);
+
+        return {
+            distanceKm,
+            distanceMi: distanceKm / this.kmPerMile,
+            bearing,
+            compass: this.toCompass(bearing),
+            blockMinutes: this.estimateBlockMinutes(distanceKm),
+            departureOffset,
+            arrivalOffset,
+            offsetMinutes: departureOffset !== null && arrivalOffset !== null
+                ? arrivalOffset - departureOffset
+                : null
+        };
+    },
+
+    /**
+     * Estimate gate-to-gate time, rounded to 5 minutes
+     * @param {number} distanceKm - Great circle distance
+     * @returns {number} - Minutes
+     */
+    estimateBlockMinutes(distanceKm) {
+        const minutes = distanceKm / this.cruiseSpeedKmh * 60 + this.overheadMinutes;
+        return Math.round(minutes / 5) * 5;
+    },
+
+    /**
+     * Convert a bearing to an 8-point compass direction
+     * @param {number} bearing - Degrees clockwise from north
+     * @returns {string} - e.g., "NE"
+     */
+    toCompass(bearing) {
+        return this.compassPoints[Math.round(bearing / 45) % 8];
+    },
+
+    // Whether Intl can name offsets as "GMT+09:00" (null until checked)
+    longOffsetSupported: null,
+
+    /**
+     * Check once whether the browser supports timeZoneName: 'longOffset'
+     * @returns {boolean}
+     */
+    supportsLongOffset() {
+        if (this.longOffsetSupported === null) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', timeZoneName: 'longOffset' });
+                this.longOffsetSupported = true;
+            } catch (error) {
+                this.longOffsetSupported = false;
+            }
+        }
+        return this.longOffsetSupported;
+    },
+
+    /**
+     * Check that Intl knows an IANA time zone
+     * @param {string} timeZone - e.g., "Asia/Tokyo"
+     * @returns {boolean}
+     */
+    isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || timeZone === '') return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Current UTC offset of an IANA time zone
+     * @param {string} timeZone - e.g., "Asia/Tokyo"
+     * @param {Date} date - Moment to evaluate (daylight saving time aware)
+     * @returns {number|null} - Minutes east of UTC, or null if unknown
+     */
+    getUtcOffsetMinutes(timeZone, date = new Date()) {
+        if (!this.isValidTimeZone(timeZone)) return null;
+
+        if (!this.supportsLongOffset()) {
+            return this.computeUtcOffsetMinutes(timeZone, date);
+        }
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            timeZoneName: 'longOffset'
+        }).formatToParts(date);
+
+        // "GMT+09:00", "GMT-07:00" or "GMT" for UTC
+        const name = parts.find(part => part.type === 'timeZoneName')?.value || '';
+        const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+        if (!match) return 0;
+
+        const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        return match[1] === '-' ? -minutes : minutes;
+    },
+
+    /**
+     * UTC offset for browsers without longOffset: read the wall clock time in the zone
+     * and compare it with UTC
+     * @param {string} timeZone - Valid IANA time zone
+     * @param {Date} date - Moment to evaluate
+     * @returns {number} - Minutes east of UTC
+     */
+    computeUtcOffsetMinutes(timeZone, date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }).formatToParts(date);
+        const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+        const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+        const utc = Math.floor(date.getTime() / 60000) * 60000;
+        return Math.round((wallClock - utc) / 60000);
+    },
+
+    /**
+     * Format a UTC offset (e.g., "UTC+9", "UTC−3:30")
+     * @param {number} minutes - Minutes east of UTC
+     * @returns {string}
+     */
+    formatUtcOffset(minutes) {
+        const sign = minutes < 0 ? '−' : '+';
+        const hours = Math.floor(Math.abs(minutes) / 60);
+        const rest = Math.abs(minutes) % 60;
+        return `UTC${sign}${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+    }
+};
+
+// Export for use in other modules
+window.RouteInfo = RouteInfo;
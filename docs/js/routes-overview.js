@@ -0,0 +1,188 @@
+// Routes overview module
+// Draws every flight found for a birthday on one map above the results table
+
+const RoutesOverview = {
+    // FlightMap instance, created on first render
+    flightMap: null,
+
+    // Arc colors, assigned to airlines in order of appearance
+    palette: [
+        '#e11d48', '#2563eb', '#059669', '#d97706', '#7c3aed',
+        '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4f46e5'
+    ],
+
+    /**
+     * Draw all flights that have known coordinates
+     * Coordinates come from airports.json or earlier lookups only, so the
+     * overview never sends Nominatim requests
+     * @param {Array} flights - Flight objects from the current search
+     */
+    render(flights) {
+        const section = document.getElementById('routes-overview');
+        if (!section) return;
+
+        const routes = flights
+            .map(flight => ({
+                flight,
+                departure: this.getCoordinates(flight.departureCode),
+                arrival: this.getCoordinates(flight.arrivalCode)
+            }))
+            .filter(route => route.departure && route.arrival);
+
+        if (routes.length === 0) {
+            section.hidden = true;
+            this.clear();
+            return;
+        }
+
+        section.hidden = false;
+
+        // The section was hidden until now, so init() re-measures it
+        if (!this.flightMap) {
+            this.flightMap = new FlightMap('routes-map', { maxZoom: 8, scrollWheelZoom: false });
+        }
+        this.flightMap.init();
+        this.clear();
+
+        const colors = this.assignColors(routes.map(route => route.flight));
+
+        routes.forEach(({ flight, departure, arrival }) => {
+            this.flightMap.addRoute(flight.codeName, departure, arrival, {
+                style: {
+                    color: colors.get(this.getAirlineKey(flight)),
+                    weight: 2,
+                    opacity: 0.75,
+                    dashArray: null
+                },
+                markers: false,
+                numPoints: 64,
+                tooltip: `${escapeHtml(flight.codeName)} ${escapeHtml(flight.departureCode)} → ${escapeHtml(flight.arrivalCode)}`,
+                onClick: () => FlightModal.open(flight)
+            });
+        });
+
+        this.addAirportMarkers(routes);
+        this.renderLegend(colors, flights.length - routes.length);
+
+        this.flightMap.fitRoutes(undefined, { padding: [30, 30], maxZoom: 5 });
+    },
+
+    /**
+     * Get already known coordinates for an airport code
+     * @param {string} code - Airport code
+     * @returns {{lat: number, lng: number, city: string}|null}
+     */
+    getCoordinates(code) {
+        const codeUpper = code?.toUpperCase().trim();
+        if (!codeUpper) return null;
+        return AirportSearch.resolveFromLocal(codeUpper) || AirportSearch.cache.get(codeUpper) || null;
+    },
+
+    /**
+     * Key used to color flights by airline (IATA prefix of the flight code)
+     * @param {Object} flight - Flight data
+     * @returns {string}
+     */
+    getAirlineKey(flight) {
+        return flight.codeName?.slice(0, 2).toUpperCase() || flight.airlineName || '';
+    },
+
+    /**
+     * Assign a palette color to each airline
+     * @param {Array} flights - Flights to draw
+     * @returns {Map<string, string>} - Airline key → color
+     */
+    assignColors(flights) {
+        const colors = new Map();
+        flights.forEach(flight => {
+            const key = this.getAirlineKey(flight);
+            if (!colors.has(key)) {
+                colors.set(key, this.palette[colors.size % this.palette.length]);
+            }
+        });
+        return colors;
+    },
+
+    /**
+     * Add one marker per airport, sized by the number of flights touching it
+     * @param {Array} routes - [{flight, departure, arrival}]
+     */
+    addAirportMarkers(routes) {
+        const airports = new Map();
+
+        routes.forEach(({ flight, departure, arrival }) => {
+            [[flight.departureCode, flight.departurePlace, departure], [flight.arrivalCode, flight.arrivalPlace, arrival]]
+                .forEach(([code, place, coords]) => {
+                    const key = code.toUpperCase();
+                    const airport = airports.get(key) || { code: key, place, coords, flights: new Set() };
+                    airport.flights.add(flight.codeName);
+                    airports.set(key, airport);
+                });
+        });
+
+        airports.forEach(airport => {
+            const count = airport.flights.size;
+            const marker = this.flightMap.addLayer(L.circleMarker([airport.coords.lat, airport.coords.lng], {
+                radius: Math.min(6 + count * 2, 18),
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#be123c',
+                fillOpacity: 0.9
+            }));
+
+            const name = AirportSearch.getCityName(airport.code, airport.place);
+            marker.bindPopup(`
+                <strong>${escapeHtml(name)} (${escapeHtml(airport.code)})</strong><br>
+                ${airport.coords.name ? `<span class="airport-popup-name">${escapeHtml(airport.coords.name)}</span><br>` : ''}
+                ${escapeHtml(I18n.t('overview.airportFlights', { count }))}<br>
+                <span class="overview-flight-list">${[...airport.flights].map(escapeHtml).join(', ')}</span>
+            `);
+            marker.bindTooltip(String(count), {
+                permanent: count > 1,
+                direction: 'center',
+                className: 'overview-count'
+            });
+        });
+    },
+
+    /**
+     * Show airline colors and how many flights could not be drawn
+     * @param {Map<string, string>} colors - Airline key → color
+     * @param {number} skipped - Flights without coordinates
+     */
+    renderLegend(colors, skipped) {
+        const legend = document.getElementById('routes-legend');
+        if (!legend) return;
+
+        const items = [...colors.entries()].map(([airline, color]) => `
+            <span class="legend-item">
+                <span class="legend-swatch" style="background: ${color}"></span>${escapeHtml(airline)}
+            </span>
+        `).join('');
+
+        const note = skipped > 0
+            ? `<span class="legend-note">${escapeHtml(I18n.t('overview.skipped', { count: skipped }))}</span>`
+            : '';
+
+        legend.innerHTML = items + note;
+    },
+
+    /**
+     * Remove drawn arcs and markers
+     */
+    clear() {
+        if (this.flightMap) this.flightMap.clear();
+    },
+
+    /**
+     * Hide the overview (e.g., when results are cleared)
+     */
+    hide() {
+        const section = document.getElementById('routes-overview');
+        if (section) section.hidden = true;
+        this.clear();
+    }
+};
+
+// Export for use in other modules
+window.RoutesOverview = RoutesOverview;
@@ -0,0 +1,295 @@
+// Share card module
+// Draws a birthday flight card on a canvas (no server involved) and saves it as PNG
+// or passes it to the Web Share API
+
+const ShareCard = {
+    // Open Graph image size, shown uncropped by most social networks
+    width: 1200,
+    height: 630,
+
+    fontFamily: "'Noto Sans JP', sans-serif",
+
+    colors: {
+        start: '#e11d48',
+        end: '#be123c',
+        text: '#ffffff',
+        muted: 'rgba(255, 255, 255, 0.75)',
+        panel: 'rgba(255, 255, 255, 0.12)'
+    },
+
+    /**
+     * Draw the card
+     * @param {Object} flight - Flight data (with birthday key)
+     * @param {Object|null} departure - Departure airport {lat, lng}, null if unknown
+     * @param {Object|null} arrival - Arrival airport {lat, lng}, null if unknown
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async render(flight, departure, arrival) {
+        // Web fonts are only used by canvas once loaded
+        if (document.fonts?.load) {
+            await Promise.all([
+                document.fonts.load(`700 64px ${this.fontFamily}`),
+                document.fonts.load(`400 32px ${this.fontFamily}`)
+            ]).catch(() => {});
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        const ctx = canvas.getContext('2d');
+
+        this.drawBackground(ctx);
+        this.drawText(ctx, flight);
+
+        if (departure && arrival) {
+            this.drawRoute(ctx, departure, arrival, { x: 740, y: 150, width: 400, height: 330 });
+        }
+
+        return canvas;
+    },
+
+    /**
+     * Gradient background and the panel behind the route
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawBackground(ctx) {
+        const gradient = ctx.createLinearGradient(0, 0, this.width, this.height);
+        gradient.addColorStop(0, this.colors.start);
+        gradient.addColorStop(1, this.colors.end);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.fillStyle = this.colors.panel;
+        this.roundRect(ctx, 720, 130, 440, 370, 24);
+        ctx.fill();
+    },
+
+    /**
+     * Title, flight, airline, date and cities on the left half
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} flight - Flight data
+     */
+    drawText(ctx, flight) {
+        const left = 64;
+        const maxWidth = 620;
+        const date = this.getDateLabel(flight);
+        const from = AirportSearch.getCityName(flight.departureCode, flight.departurePlace);
+        const to = AirportSearch.getCityName(flight.arrivalCode, flight.arrivalPlace);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = this.colors.muted;
+        this.fillFittedText(ctx, I18n.t('share.title'), left, 110, maxWidth, 32, 400);
+
+        ctx.fillStyle = this.colors.text;
+        this.fillFittedText(ctx, date, left, 190, maxWidth, 56, 700);
+        this.fillFittedText(ctx, flight.codeName || '', left, 310, maxWidth, 120, 700);
+
+        ctx.fillStyle = this.colors.muted;
+        this.fillFittedText(ctx, AirlineLookup.getName(flight), left, 370, maxWidth, 36, 400);
+
+        ctx.fillStyle = this.colors.text;
+        this.fillFittedText(ctx, `${from} → ${to}`, left, 470, maxWidth, 48, 700);
+
+        ctx.fillStyle = this.colors.muted;
+        this.fillFittedText(ctx, `${flight.departureCode || ''} → ${flight.arrivalCode || ''}`, left, 520, maxWidth, 32, 400);
+        this.fillFittedText(ctx, 'airversary.com', left, 590, maxWidth, 24, 400);
+    },
+
+    /**
+     * Draw the great circle inside a box, scaled to fit
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} departure - {lat, lng}
+     * @param {Object} arrival - {lat, lng}
+     * @param {{x: number, y: number, width: number, height: number}} box - Drawing area
+     */
+    drawRoute(ctx, departure, arrival, box) {
+        const points = this.unwrap(FlightMap.generateArc([departure.lat, departure.lng], [arrival.lat, arrival.lng], 64));
+
+        // Equirectangular projection, narrowing longitude by the route's mean latitude
+        const meanLat = points.reduce((sum, [lat]) => sum + lat, 0) / points.length;
+        const xScale = Math.cos(meanLat * Math.PI / 180);
+        const projected = points.map(([lat, lng]) => [lng * xScale, -lat]);
+
+        const xs = projected.map(([x]) => x);
+        const ys = projected.map(([, y]) => y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const spanX = Math.max(...xs) - minX;
+        const spanY = Math.max(...ys) - minY;
+
+        // Same airport at both ends: nothing to draw
+        const span = Math.max(spanX, spanY);
+        if (span === 0) return;
+
+        const padding = 40;
+        const scale = Math.min((box.width - padding * 2) / (spanX || span), (box.height - padding * 2) / (spanY || span));
+        const offsetX = box.x + (box.width - spanX * scale) / 2;
+        const offsetY = box.y + (box.height - spanY * scale) / 2;
+        const toCanvas = ([x, y]) => [offsetX + (x - minX) * scale, offsetY + (y - minY) * scale];
+        const path = projected.map(toCanvas);
+
+        ctx.strokeStyle = this.colors.text;
+        ctx.lineWidth = 5;
+        ctx.lineCap = 'round';
+        ctx.setLineDash([14, 12]);
+        ctx.beginPath();
+        path.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        [path[0], path[path.length - 1]].forEach(([x, y]) => {
+            ctx.fillStyle = this.colors.text;
+            ctx.beginPath();
+            ctx.arc(x, y, 10, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    },
+
+    /**
+     * Make longitudes continuous so routes across the antimeridian stay one line
+     * @param {Array} points - [lat, lng] points wrapped to -180..180
+     * @returns {Array}
+     */
+    unwrap(points) {
+        let offset = 0;
+        return points.map(([lat, lng], i) => {
+            if (i > 0) {
+                const previous = points[i - 1][1];
+                if (lng - previous > 180) offset -= 360;
+                if (lng - previous < -180) offset += 360;
+            }
+            return [lat, lng + offset];
+        });
+    },
+
+    /**
+     * Draw text, shrinking the font until it fits
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} text - Text to draw
+     * @param {number} x - Left edge
+     * @param {number} y - Baseline
+     * @param {number} maxWidth - Available width
+     * @param {number} size - Preferred font size in px
+     * @param {number} weight - Font weight
+     */
+    fillFittedText(ctx, text, x, y, maxWidth, size, weight) {
+        let fontSize = size;
+        do {
+            ctx.font = `${weight} ${fontSize}px ${this.fontFamily}`;
+            fontSize -= 2;
+        } while (fontSize > 12 && ctx.measureText(text).width > maxWidth);
+
+        ctx.fillText(text, x, y, maxWidth);
+    },
+
+    /**
+     * Add a rounded rectangle path
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} radius - Corner radius
+     */
+    roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    },
+
+    /**
+     * Date line for the card (e.g., "12月31日")
+     * @param {Object} flight - Flight data
+     * @returns {string}
+     */
+    getDateLabel(flight) {
+        const date = flight.birthday && BirthdayKey.parse(flight.birthday);
+        return date ? formatBirthday(date.month, date.day) : '';
+    },
+
+    /**
+     * Encode the canvas as a PNG file
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} flight - Flight data, used for the file name
+     * @returns {Promise<File>}
+     */
+    toFile(canvas, flight) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Failed to encode share card'));
+                    return;
+                }
+                resolve(new File([blob], `airversary-${flight.codeName}.png`, { type: 'image/png' }));
+            }, 'image/png');
+        });
+    },
+
+    /**
+     * Check whether the browser can share image files
+     * @returns {boolean}
+     */
+    canShare() {
+        if (!navigator.share || !navigator.canShare) return false;
+        const file = new File([''], 'card.png', { type: 'image/png' });
+        return navigator.canShare({ files: [file] });
+    },
+
+    /**
+     * Save the card as a PNG download
+     * @param {File} file - PNG from toFile
+     */
+    download(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Open the system share sheet with the card, a caption and a link to the flight
+     * Falls back to a download when files cannot be shared or sharing is not allowed
+     * Call it directly from a click handler: navigator.share needs user activation
+     * @param {File} file - PNG from toFile
+     * @param {Object} flight - Flight data
+     */
+    async share(file, flight) {
+        if (!this.canShare()) {
+            this.download(file);
+            return;
+        }
+
+        const text = I18n.t('share.text', {
+            date: this.getDateLabel(flight),
+            flight: flight.codeName,
+            from: AirportSearch.getCityName(flight.departureCode, flight.departurePlace),
+            to: AirportSearch.getCityName(flight.arrivalCode, flight.arrivalPlace)
+        });
+        const url = new URL(UrlState.toUrl({ d: flight.birthday, q: null, f: flight.codeName }), window.location.href).href;
+
+        try {
+            await navigator.share({ files: [file], title: I18n.t('share.title'), text: `${text}\n${url}` });
+        } catch (error) {
+            // Closing the share sheet rejects with AbortError
+            if (error.name === 'AbortError') return;
+
+            // The user activation expired or sharing is blocked (e.g., by a permissions policy)
+            if (error.name === 'NotAllowedError') {
+                this.download(file);
+                return;
+            }
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+window.ShareCard = ShareCard;
@@ -0,0 +1,77 @@
+// URL state module
+// Keeps the search and the open flight in the query string so links can be shared
+// d = birthday key (e.g., "1231"), q = flight number search, f = flight shown in the modal
+
+const UrlState = {
+    // Query parameters owned by this module; others (e.g., "source") are kept as is
+    keys: ['d', 'q', 'f'],
+
+    /**
+     * Read the state from the current URL
+     * @returns {{d: string|null, q: string|null, f: string|null}}
+     */
+    read() {
+        const params = new URLSearchParams(window.location.search);
+        const d = params.get('d');
+        const q = params.get('q');
+        const f = params.get('f');
+
+        return {
+            // Ignore keys for dates that do not exist
+            d: d && BirthdayKey.parse(d) ? d : null,
+            q: q ? q.trim() || null : null,
+            f: f ? f.trim().toUpperCase() || null : null
+        };
+    },
+
+    /**
+     * Build a URL for the given state
+     * @param {Object} state - {d, q, f}
+     * @returns {string}
+     */
+    toUrl(state) {
+        const params = new URLSearchParams(window.location.search);
+        this.keys.forEach(key => {
+            params.delete(key);
+            if (state[key]) params.set(key, state[key]);
+        });
+
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    },
+
+    /**
+     * Add a history entry unless the URL would not change
+     * @param {Object} state - {d, q, f}
+     * @param {Object} extra - Additional history.state fields
+     */
+    push(state, extra = {}) {
+        if (this.isCurrent(state)) {
+            this.replace(state, extra);
+            return;
+        }
+        history.pushState({ ...state, ...extra }, '', this.toUrl(state));
+    },
+
+    /**
+     * Replace the current history entry
+     * @param {Object} state - {d, q, f}
+     * @param {Object} extra - Additional history.state fields
+     */
+    replace(state, extra = {}) {
+        history.replaceState({ ...state, ...extra }, '', this.toUrl(state));
+    },
+
+    /**
+     * Check whether the URL already represents the state
+     * @param {Object} state - {d, q, f}
+     * @returns {boolean}
+     */
+    isCurrent(state) {
+        const current = this.read();
+        return this.keys.every(key => (current[key] || null) === (state[key] || null));
+    }
+};
+
+// Export for use in other modules
+window.UrlState = UrlState;
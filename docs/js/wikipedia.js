@@ -1,46 +1,164 @@
 // Wikipedia API module for fetching city descriptions
 
 const WikipediaAPI = {
-    // Cache for storing fetched city info
-    cache: new Map(),
+    // CacheStore namespace for summaries, keyed by "lang:title"
+    cacheNamespace: 'wikipedia',
+
+    // Summaries are refreshed weekly; missing articles use CacheStore.negativeTtl
+    cacheTtl: 7 * 24 * 60 * 60 * 1000,
+
+    // Wikis tried after the active UI language
+    fallbackLanguages: ['ja', 'en'],
 
     /**
-     * Fetch city summary from Japanese Wikipedia
-     * @param {string} cityName - City name in Japanese
-     * @returns {Promise<string>} - City description or error message
+     * Fetch a city summary from the active language's Wikipedia,
+     * falling back to Japanese and English
+     * @param {Object} city - Lookup data
+     * @param {Object} city.titles - Article title per wiki language (e.g., {ja: '東京', en: 'Tokyo'})
+     * @param {Object} city.countries - Country name per wiki language, used to disambiguate
+     * @param {string} language - Preferred wiki language
+     * @returns {Promise<Object|null>} - Summary (see fetchSummary)
      */
-    async fetchCitySummary(cityName) {
-        // Check cache first
-        if (this.cache.has(cityName)) {
-            return this.cache.get(cityName);
+    async fetchCitySummary(city, language = I18n.language) {
+        if (!city?.titles) return null;
+
+        const languages = [...new Set([language, ...this.fallbackLanguages])];
+
+        for (const lang of languages) {
+            const title = city.titles[lang];
+            if (!title) continue;
+
+            let summary = await this.fetchSummary(lang, title);
+
+            // "Portland", "大阪" etc. resolve to disambiguation pages
+            if (summary?.type === 'disambiguation') {
+                summary = await this.resolveDisambiguation(lang, title, city.countries?.[lang]);
+            }
+
+            if (summary?.extract) {
+                return summary;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Retry an ambiguous title qualified with the country, then with a search
+     * @param {string} lang - Wiki language
+     * @param {string} title - Ambiguous article title
+     * @param {string} country - Country name in the wiki's language
+     * @returns {Promise<Object|null>}
+     */
+    async resolveDisambiguation(lang, title, country) {
+        if (!country) return null;
+
+        const candidates = lang === 'ja'
+            ? [`${title} (${country})`, `${title}市`]
+            : [`${title}, ${country}`, `${title} (${country})`];
+
+        for (const candidate of candidates) {
+            const summary = await this.fetchSummary(lang, candidate);
+            if (summary?.extract && summary.type !== 'disambiguation') {
+                return summary;
+            }
+        }
+
+        // Fall back to the wiki's top search result for "title country"
+        const searchTitle = await this.searchTitle(lang, `${title} ${country}`);
+        if (searchTitle && searchTitle !== title) {
+            const summary = await this.fetchSummary(lang, searchTitle);
+            if (summary?.type !== 'disambiguation') {
+                return summary;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Find the best matching article title with the MediaWiki search API
+     * @param {string} lang - Wiki language
+     * @param {string} query - Search text
+     * @returns {Promise<string|null>}
+     */
+    async searchTitle(lang, query) {
+        try {
+            const url = `https://${lang}.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srlimit=1&format=json&origin=*`;
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.query?.search?.[0]?.title || null;
+        } catch (error) {
+            console.error(`Wikipedia search error for ${lang}:${query}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Fetch one article summary from a language's REST API
+     * @param {string} lang - Wiki language (e.g., "ja", "en")
+     * @param {string} title - Article title
+     * @returns {Promise<{extract: string, title: string, url: string, lang: string, type: string, thumbnail: Object|null, coordinates: Object|null} | null>}
+     */
+    async fetchSummary(lang, title) {
+        const cacheKey = `${lang}:${title}`;
+
+        // Check cache first (null is a cached missing article)
+        const cached = await CacheStore.get(this.cacheNamespace, cacheKey);
+        if (cached !== undefined) {
+            return cached;
         }
 
         try {
-            const url = `https://ja.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(cityName)}`;
+            const url = `https://${lang}.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
             const response = await fetch(url);
 
+            // Missing article: remember it so the next wiki is tried directly
+            if (response.status === 404) {
+                CacheStore.set(this.cacheNamespace, cacheKey, null);
+                return null;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error: ${response.status}`);
             }
 
             const data = await response.json();
-            const summary = data.extract || '';
+            const summary = {
+                extract: data.extract || '',
+                title: data.title || title,
+                url: data.content_urls?.desktop?.page
+                    || `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title)}`,
+                lang,
+                type: data.type || 'standard',
+                thumbnail: data.thumbnail?.source
+                    ? { src: data.thumbnail.source, width: data.thumbnail.width, height: data.thumbnail.height }
+                    : null,
+                coordinates: data.coordinates
+                    ? { lat: data.coordinates.lat, lng: data.coordinates.lon }
+                    : null
+            };
 
             // Cache the result
-            this.cache.set(cityName, summary);
+            CacheStore.set(this.cacheNamespace, cacheKey, summary, this.cacheTtl);
 
             return summary;
         } catch (error) {
-            console.error(`Wikipedia API error for ${cityName}:`, error);
+            console.error(`Wikipedia API error for ${cacheKey}:`, error);
             return null;
         }
     },
 
     /**
      * Fetch summaries for both departure and arrival cities
-     * @param {string} departureCity - Departure city name
-     * @param {string} arrivalCity - Arrival city name
-     * @returns {Promise<{departure: string, arrival: string}>}
+     * @param {Object} departureCity - Lookup data for the departure city (see fetchCitySummary)
+     * @param {Object} arrivalCity - Lookup data for the arrival city
+     * @returns {Promise<{departure: Object|null, arrival: Object|null}>}
      */
     async fetchBothCities(departureCity, arrivalCity) {
         const [departure, arrival] = await Promise.all([
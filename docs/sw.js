@@ -0,0 +1,203 @@
+// Service worker for offline use
+// Precaches the app shell and keeps runtime caches for data, summaries and map tiles
+
+// Bump when the precache list changes
+const VERSION = 'v12';
+
+const CACHES = {
+    app: `airversary-app-${VERSION}`,
+    flights: 'airversary-flights',
+    wikipedia: 'airversary-wikipedia',
+    tiles: 'airversary-tiles',
+    vendor: 'airversary-vendor'
+};
+
+// Maximum entries per runtime cache; the oldest entries are dropped first
+const LIMITS = {
+    flights: 400,
+    wikipedia: 300,
+    tiles: 1000,
+    vendor: 60
+};
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'icon.svg',
+    'css/style.css',
+    'data/airports.json',
+    'data/airlines.json',
+    'js/i18n.js',
+    'js/cache-store.js',
+    'js/wikipedia.js',
+    'js/airport-search.js',
+    'js/map.js',
+    'js/route-info.js',
+    'js/routes-overview.js',
+    'js/results-table.js',
+    'js/results-export.js',
+    'js/plane-animation.js',
+    'js/share-card.js',
+    'js/modal.js',
+    'js/family-birthdays.js',
+    'js/itinerary-planner.js',
+    'js/calendar-heatmap.js',
+    'js/date-calendar.js',
+    'js/airline-lookup.js',
+    'js/flight-data.js',
+    'js/birthday-key.js',
+    'js/flight-number.js',
+    'js/url-state.js',
+    'js/app.js'
+];
+
+// Third-party scripts and styles loaded by index.html
+const VENDOR_HOSTS = [
+    'unpkg.com',
+    'www.gstatic.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHES.app)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop app caches from previous versions; runtime caches are kept
+    const current = new Set(Object.values(CACHES));
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('airversary-') && !current.has(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Page loads (including deep links like ?d=1231) fall back to the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('index.html', { cacheName: CACHES.app }))
+        );
+        return;
+    }
+
+    // Flight data: Firebase REST (one URL per birthday key), static shards or date counts
+    if (url.hostname.endsWith('.firebasedatabase.app') ||
+        (url.origin === self.location.origin && /\/data\/(flights\/|date-counts\.json)/.test(url.pathname))) {
+        event.respondWith(networkFirst(request, 'flights'));
+        return;
+    }
+
+    // Wikipedia summaries, search results and thumbnails
+    if (url.hostname.endsWith('.wikipedia.org') || url.hostname === 'upload.wikimedia.org') {
+        event.respondWith(networkFirst(request, 'wikipedia'));
+        return;
+    }
+
+    // OpenStreetMap tiles rarely change
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirst(request, 'tiles'));
+        return;
+    }
+
+    // Stylesheets and scripts without crossorigin come back opaque
+    if (VENDOR_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, 'vendor', true));
+        return;
+    }
+
+    // App shell: serve the cached copy and refresh it in the background
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Try the network, falling back to the cache when offline
+ * @param {Request} request
+ * @param {string} name - Key of CACHES/LIMITS
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, name) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) await put(name, request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName: CACHES[name] });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache, fetching and storing on a miss
+ * @param {Request} request
+ * @param {string} name - Key of CACHES/LIMITS
+ * @param {boolean} allowOpaque - Also store no-cors responses
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, name, allowOpaque = false) {
+    const cached = await caches.match(request, { cacheName: CACHES[name] });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || (allowOpaque && response.type === 'opaque')) {
+        await put(name, request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the precached copy if present and update it from the network
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHES.app);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Store a response in a runtime cache and enforce its entry limit
+ * @param {string} name - Key of CACHES/LIMITS
+ * @param {Request} request
+ * @param {Response} response
+ */
+async function put(name, request, response) {
+    const cache = await caches.open(CACHES[name]);
+    await cache.put(request, response);
+
+    // keys() is in insertion order, so the first entries are the oldest
+    const keys = await cache.keys();
+    const excess = keys.length - LIMITS[name];
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}
@@ -0,0 +1,153 @@
+// Dataset builder
+// Snapshots a Realtime Database export into the static dataset read with ?source=static:
+// one <MMDD>.json shard per birthday and manifest.json with the collection date and counts
+//
+// Usage: node scripts/build-dataset.js <source> --collected <YYYY-MM[-DD]> [output directory]
+//   source:    a Realtime Database JSON export (or a directory of MMDD.json files)
+//   collected: when the data was collected; shown in the notice on the page
+//   output:    defaults to docs/data/flights
+//
+// Every record needs A_code, D_code and AirName, and both airport codes must be in
+// docs/data/airports.json. Other records are left out and reported
+//
+// manifest.json:
+//   { "collectedAt": "2022-07", "generatedAt": "...", "source": "export.json",
+//     "total": 1234, "dates": 300, "skipped": { ... }, "counts": { "101": 3, ... } }
+
+const fs = require('fs');
+const path = require('path');
+const { allBirthdayKeys, isBirthdayKey, normalizeAirportCode, readRecords } = require('./lib/flight-records');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'docs', 'data', 'flights');
+const AIRPORTS_FILE = path.join(__dirname, '..', 'docs', 'data', 'airports.json');
+
+const COLLECTED_PATTERN = /^\d{4}-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?$/;
+const REQUIRED_FIELDS = ['A_code', 'D_code', 'AirName'];
+
+const USAGE = 'Usage: node scripts/build-dataset.js <source> --collected <YYYY-MM[-DD]> [output directory]';
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{source: string, collected: string, output: string}}
+ */
+function parseArgs(args) {
+    const positional = [];
+    let collected = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--collected') {
+            collected = args[++i];
+        } else if (args[i].startsWith('--collected=')) {
+            collected = args[i].slice('--collected='.length);
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    const [source, output = DEFAULT_OUTPUT] = positional;
+    if (!source || !collected) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (!COLLECTED_PATTERN.test(collected)) {
+        console.error(`Invalid collection date: ${collected} (expected YYYY-MM or YYYY-MM-DD)`);
+        process.exit(1);
+    }
+
+    return { source, collected, output };
+}
+
+/**
+ * Check a record and normalize its airport codes
+ * @param {Object} record - Database record
+ * @param {Set<string>} airports - Codes in airports.json
+ * @returns {{record: Object} | {reason: string, code: string}} - The cleaned record, or why it was left out
+ */
+function validateRecord(record, airports) {
+    const missing = REQUIRED_FIELDS.some(field => {
+        return typeof record?.[field] !== 'string' || record[field].trim() === '';
+    });
+    if (missing) return { reason: 'missingFields' };
+
+    const arrival = normalizeAirportCode(record.A_code);
+    const departure = normalizeAirportCode(record.D_code);
+    if (!arrival || !departure) return { reason: 'invalidCode' };
+
+    const unknown = [departure, arrival].find(code => !airports.has(code));
+    if (unknown) return { reason: 'unknownAirport', code: unknown };
+
+    return { record: { ...record, A_code: arrival, D_code: departure } };
+}
+
+/**
+ * Validate every record and group the valid ones into shards
+ * @param {Object} records - { MMDD: { flightCode: record } }
+ * @param {Set<string>} airports - Codes in airports.json
+ * @returns {{shards: Object, skipped: Object, unknownAirports: Map<string, number>}}
+ */
+function buildShards(records, airports) {
+    const shards = {};
+    const skipped = { missingFields: 0, invalidCode: 0, unknownAirport: 0 };
+    const unknownAirports = new Map();
+
+    // Calendar and flight code order keep the output stable between runs
+    allBirthdayKeys().forEach(key => {
+        Object.keys(records[key] || {}).sort().forEach(flight => {
+            const result = validateRecord(records[key][flight], airports);
+            if (result.reason) {
+                skipped[result.reason]++;
+                if (result.code) unknownAirports.set(result.code, (unknownAirports.get(result.code) || 0) + 1);
+                return;
+            }
+            (shards[key] = shards[key] || {})[flight] = result.record;
+        });
+    });
+
+    return { shards, skipped, unknownAirports };
+}
+
+function main() {
+    const { source, collected, output } = parseArgs(process.argv.slice(2));
+
+    const airports = new Set(Object.keys(JSON.parse(fs.readFileSync(AIRPORTS_FILE, 'utf8'))));
+    const { shards, skipped, unknownAirports } = buildShards(readRecords(source), airports);
+
+    // Remove shards from the previous build so dates without flights do not linger
+    fs.mkdirSync(output, { recursive: true });
+    fs.readdirSync(output)
+        .filter(file => file === 'manifest.json' ||
+            (path.extname(file) === '.json' && isBirthdayKey(path.basename(file, '.json'))))
+        .forEach(file => fs.unlinkSync(path.join(output, file)));
+
+    const counts = {};
+    allBirthdayKeys().forEach(key => {
+        counts[key] = Object.keys(shards[key] || {}).length;
+        if (counts[key] > 0) {
+            fs.writeFileSync(path.join(output, `${key}.json`), JSON.stringify(shards[key], null, 2) + '\n');
+        }
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const manifest = {
+        collectedAt: collected,
+        generatedAt: new Date().toISOString(),
+        source: path.basename(source),
+        total,
+        dates: Object.keys(shards).length,
+        skipped,
+        counts
+    };
+    fs.writeFileSync(path.join(output, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`Wrote ${total} flights on ${manifest.dates} birthdays to ${output}`);
+    Object.entries(skipped).forEach(([reason, count]) => {
+        if (count > 0) console.log(`Skipped ${count} records (${reason})`);
+    });
+    if (unknownAirports.size > 0) {
+        const codes = [...unknownAirports.entries()].sort().map(([code, count]) => `${code} (${count})`);
+        console.log(`Airports missing from airports.json: ${codes.join(', ')}`);
+    }
+}
+
+main();
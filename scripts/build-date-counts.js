@@ -0,0 +1,53 @@
+// Date counts builder
+// Generates the static dataset behind the year calendar: the number of flights
+// for every birthday, from the same records the date search reads
+//
+// Usage: node scripts/build-date-counts.js <source> [output file]
+//   source: a Realtime Database JSON export, or a directory of MMDD.json files.
+//           Use the raw export for the Firebase provider: the shards written by
+//           build-dataset.js leave out records that the database still returns
+//   output: defaults to docs/data/date-counts.json
+//
+// Writes { "generatedAt": "...", "total": 1234, "counts": { "101": 3, "102": 0, ... } }
+// with every birthday key in calendar order, so dates without flights are listed as 0
+
+const fs = require('fs');
+const path = require('path');
+const { allBirthdayKeys, readRecords } = require('./lib/flight-records');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'docs', 'data', 'date-counts.json');
+
+/**
+ * Count the flights of each birthday
+ * @param {Object} records - { MMDD: { flightCode: record } }
+ * @returns {Object} - { MMDD: number } for every birthday key
+ */
+function countDates(records) {
+    const counts = {};
+    allBirthdayKeys().forEach(key => {
+        counts[key] = Object.keys(records[key] || {}).length;
+    });
+    return counts;
+}
+
+function main() {
+    const [source, output = DEFAULT_OUTPUT] = process.argv.slice(2);
+    if (!source) {
+        console.error('Usage: node scripts/build-date-counts.js <source> [output file]');
+        process.exit(1);
+    }
+
+    const counts = countDates(readRecords(source));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const empty = Object.values(counts).filter(count => count === 0).length;
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify({ generatedAt: new Date().toISOString(), total, counts }, null, 2) + '\n');
+
+    console.log(`Wrote ${total} flights on ${Object.keys(counts).length - empty} birthdays to ${output}`);
+    if (empty > 0) {
+        console.log(`${empty} birthdays have no flights`);
+    }
+}
+
+main();
@@ -0,0 +1,80 @@
+// Flight record helpers shared by the dataset scripts
+// Reads MMDD birthday records (the Realtime Database shape:
+// { "1231": { "NH1231": { A_code, A_place, AirName, D_code, D_place } } })
+// from a database JSON export or from a directory of MMDD.json files
+
+const fs = require('fs');
+const path = require('path');
+
+// Same rule as BirthdayKey in the site: month without padding, day with padding
+const BIRTHDAY_PATTERN = /^(1[0-2]|[1-9])(0[1-9]|[12]\d|3[01])$/;
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const AIRPORT_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Check that a key is a MMDD key for a real date (February 29 included)
+ * @param {string} key - Birthday key
+ * @returns {boolean}
+ */
+function isBirthdayKey(key) {
+    const match = String(key).match(BIRTHDAY_PATTERN);
+    if (!match) return false;
+    return parseInt(match[2], 10) <= DAYS_IN_MONTH[parseInt(match[1], 10) - 1];
+}
+
+/**
+ * Every valid birthday key in calendar order
+ * @returns {Array<string>}
+ */
+function allBirthdayKeys() {
+    const keys = [];
+    DAYS_IN_MONTH.forEach((days, index) => {
+        for (let day = 1; day <= days; day++) {
+            keys.push(`${index + 1}${String(day).padStart(2, '0')}`);
+        }
+    });
+    return keys;
+}
+
+/**
+ * Normalize an airport code from a record
+ * @param {any} code - A_code or D_code
+ * @returns {string|null} - Uppercase IATA code, null if malformed
+ */
+function normalizeAirportCode(code) {
+    const value = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    return AIRPORT_CODE_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Read birthday records from a database export file or a directory of MMDD.json files
+ * Keys that are not birthday keys are ignored
+ * @param {string} source - Path to an export (.json) or a directory
+ * @returns {Object} - { MMDD: { flightCode: record } }
+ */
+function readRecords(source) {
+    const records = {};
+
+    if (fs.statSync(source).isDirectory()) {
+        fs.readdirSync(source).forEach(file => {
+            const key = path.basename(file, '.json');
+            if (path.extname(file) !== '.json' || !isBirthdayKey(key)) return;
+            records[key] = JSON.parse(fs.readFileSync(path.join(source, file), 'utf8'));
+        });
+        return records;
+    }
+
+    const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+    Object.keys(data || {}).forEach(key => {
+        if (isBirthdayKey(key) && data[key]) records[key] = data[key];
+    });
+    return records;
+}
+
+module.exports = {
+    isBirthdayKey,
+    allBirthdayKeys,
+    normalizeAirportCode,
+    readRecords
+};
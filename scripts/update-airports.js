@@ -0,0 +1,180 @@
+// Airport detail updater
+// Adds the official name, ICAO code, elevation and ISO country code from an
+// OurAirports airports.csv (https://ourairports.com/data/, public domain) to
+// docs/data/airports.json
+//
+// Usage: node scripts/update-airports.js path/to/airports.csv
+//
+// airports.json is edited line by line so hand-written entries, grouping and
+// number formatting stay as they are; codes missing from the CSV are left unchanged
+
+const fs = require('fs');
+const path = require('path');
+
+const AIRPORTS_PATH = path.join(__dirname, '..', 'docs', 'data', 'airports.json');
+
+// Prefer the busiest airport when several rows share an IATA code
+const TYPE_RANK = ['large_airport', 'medium_airport', 'small_airport', 'seaplane_base', 'heliport', 'closed'];
+
+// Fields written by this script, removed before re-inserting
+const MANAGED_FIELDS = ['name', 'icao', 'elevationFt', 'countryCode'];
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(Boolean));
+    return records.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i] || ''])));
+}
+
+/**
+ * Index OurAirports rows by IATA code
+ * @param {Array<Object>} rows - Rows from parseCsv
+ * @returns {Map<string, Object>}
+ */
+function indexByIata(rows) {
+    const rank = row => {
+        const index = TYPE_RANK.indexOf(row.type);
+        return index === -1 ? TYPE_RANK.length : index;
+    };
+
+    const index = new Map();
+    rows.forEach(row => {
+        const iata = row.iata_code.trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(iata)) return;
+
+        const current = index.get(iata);
+        if (!current || rank(row) < rank(current)) {
+            index.set(iata, row);
+        }
+    });
+    return index;
+}
+
+/**
+ * Detail fields for one airport
+ * @param {Object} row - OurAirports row
+ * @returns {{name: string, icao: string|null, elevationFt: number|null, countryCode: string|null}}
+ */
+function toDetails(row) {
+    // icao_code is only set for airports with an assigned ICAO code; older exports lack it
+    const icao = [row.icao_code, row.gps_code, row.ident]
+        .map(value => (value || '').trim().toUpperCase())
+        .find(value => /^[A-Z0-9]{4}$/.test(value)) || null;
+    const elevation = parseInt(row.elevation_ft, 10);
+    const countryCode = row.iso_country.trim().toUpperCase();
+
+    return {
+        name: row.name.trim(),
+        icao,
+        elevationFt: Number.isFinite(elevation) ? elevation : null,
+        countryCode: /^[A-Z]{2}$/.test(countryCode) ? countryCode : null
+    };
+}
+
+/**
+ * Rewrite one airports.json entry line with the given details
+ * @param {string} line - Entry line (e.g., '  "HND": { "lat": ..., "tz": "Asia/Tokyo" },')
+ * @param {Object} details - Fields from toDetails
+ * @returns {string}
+ */
+function updateLine(line, details) {
+    let updated = line;
+
+    MANAGED_FIELDS.forEach(field => {
+        updated = updated.replace(new RegExp(`"${field}": ("(?:[^"\\\\]|\\\\.)*"|-?\\d+(?:\\.\\d+)?), `), '');
+        updated = updated.replace(new RegExp(`, "${field}": ("(?:[^"\\\\]|\\\\.)*"|-?\\d+(?:\\.\\d+)?)`), '');
+    });
+
+    const leading = [`"name": ${JSON.stringify(details.name)}`];
+    if (details.icao) leading.push(`"icao": "${details.icao}"`);
+    updated = updated.replace(/^(\s*"[A-Z]{3}": \{ )/, `$1${leading.join(', ')}, `);
+
+    if (details.elevationFt !== null) {
+        updated = updated.replace(/("lng": -?\d+(?:\.\d+)?)/, `$1, "elevationFt": ${details.elevationFt}`);
+    }
+    if (details.countryCode) {
+        updated = updated.replace(/("countryEn": "(?:[^"\\]|\\.)*")/, `$1, "countryCode": "${details.countryCode}"`);
+    }
+
+    return updated;
+}
+
+function main() {
+    const csvPath = process.argv[2];
+    if (!csvPath) {
+        console.error('Usage: node scripts/update-airports.js path/to/airports.csv');
+        process.exit(1);
+    }
+
+    const index = indexByIata(parseCsv(fs.readFileSync(csvPath, 'utf8')));
+    const lines = fs.readFileSync(AIRPORTS_PATH, 'utf8').split('\n');
+    const missing = [];
+    let updatedCount = 0;
+
+    const output = lines.map(line => {
+        const match = line.match(/^\s*"([A-Z]{3})": \{/);
+        if (!match) return line;
+
+        const row = index.get(match[1]);
+        if (!row) {
+            missing.push(match[1]);
+            return line;
+        }
+
+        updatedCount++;
+        return updateLine(line, toDetails(row));
+    });
+
+    const text = output.join('\n');
+    // Fail before writing if a replacement broke the JSON
+    JSON.parse(text);
+    fs.writeFileSync(AIRPORTS_PATH, text);
+
+    console.log(`Updated ${updatedCount} airports`);
+    if (missing.length > 0) {
+        console.log(`Not in the CSV (left unchanged): ${missing.join(', ')}`);
+    }
+}
+
+main();